@@ -1,10 +1,13 @@
 /**
  * audioManager.js
- * 
+ *
  * Handles loading and playing all sound effects for the game.
  * It includes controls for muting and pre-loading audio assets.
+ * Sounds whose asset file is missing are synthesized with the Web Audio API.
  */
 
+import { storageManager } from './storageManager.js';
+
 const SOUNDS = {
     type: 'assets/audio/type.ogg',      // Placeholder path
     miss: 'assets/audio/miss.ogg',      // Placeholder path
@@ -14,36 +17,158 @@ const SOUNDS = {
     end: 'assets/audio/end.ogg'          // Placeholder path
 };
 
+// Synthesized stand-ins used when an asset is missing.
+// Each note: { freq, wave, start, duration, gain } with times in seconds.
+const FALLBACK_TONES = {
+    type: [{ freq: 1800, wave: 'square', start: 0, duration: 0.015, gain: 0.15 }],
+    miss: [{ freq: 110, wave: 'sawtooth', start: 0, duration: 0.18, gain: 0.3 }],
+    success: [
+        { freq: 660, wave: 'triangle', start: 0, duration: 0.08, gain: 0.3 },
+        { freq: 990, wave: 'triangle', start: 0.06, duration: 0.1, gain: 0.3 },
+    ],
+    quest: [
+        { freq: 784, wave: 'sine', start: 0, duration: 0.25, gain: 0.35 },
+        { freq: 1047, wave: 'sine', start: 0.1, duration: 0.25, gain: 0.35 },
+        { freq: 1568, wave: 'sine', start: 0.2, duration: 0.4, gain: 0.3 },
+    ],
+    start: [
+        { freq: 440, wave: 'square', start: 0, duration: 0.1, gain: 0.2 },
+        { freq: 880, wave: 'square', start: 0.12, duration: 0.15, gain: 0.2 },
+    ],
+    end: [
+        { freq: 880, wave: 'square', start: 0, duration: 0.12, gain: 0.2 },
+        { freq: 440, wave: 'square', start: 0.14, duration: 0.25, gain: 0.2 },
+    ],
+};
+
+const DEFAULT_VOLUME = 0.8;
+
 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+const masterGain = audioContext.createGain();
+masterGain.connect(audioContext.destination);
+
 const audioBuffers = {};
 let isMuted = false;
-let isInitialized = false;
+let volume = DEFAULT_VOLUME;
+let initPromise = null;
+
+loadSettings();
+
+/**
+ * Applies the saved mute state and volume, e.g. after switching profiles.
+ */
+function loadSettings() {
+    const savedSettings = storageManager.loadSettings();
+    isMuted = savedSettings.muted ?? false;
+    volume = savedSettings.volume ?? DEFAULT_VOLUME;
+    applyVolume();
+}
+
+/**
+ * Applies the mute state and master volume to the output gain.
+ */
+function applyVolume() {
+    masterGain.gain.value = isMuted ? 0 : volume;
+}
+
+/**
+ * Loads and decodes a single sound file. Missing or undecodable files are skipped,
+ * leaving the synthesized fallback in place.
+ * @param {string} name - The sound name.
+ * @param {string} path - The asset path.
+ */
+async function loadSound(name, path) {
+    try {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const arrayBuffer = await response.arrayBuffer();
+        audioBuffers[name] = await audioContext.decodeAudioData(arrayBuffer);
+    } catch (error) {
+        console.warn(`Sound "${name}" unavailable (${path}), using synthesized fallback.`, error);
+    }
+}
 
 /**
  * Loads all audio files into buffers for fast playback.
+ * Must be called from a user gesture so the AudioContext can be resumed.
+ * Safe to call more than once; files are only loaded the first time.
  */
 async function init() {
-    isInitialized = true;
-    console.log("Audio manager is disabled. Game will run without sound.");
-    return Promise.resolve();
+    if (audioContext.state === 'suspended') {
+        await audioContext.resume();
+    }
+    if (!initPromise) {
+        initPromise = Promise.all(
+            Object.entries(SOUNDS).map(([name, path]) => loadSound(name, path))
+        ).then(() => {
+            console.log(`Audio manager initialized (${Object.keys(audioBuffers).length}/${Object.keys(SOUNDS).length} files loaded).`);
+        });
+    }
+    return initPromise;
 }
 
 /**
- * Plays a sound from the pre-loaded buffers.
+ * Synthesizes a fallback sound from oscillator notes.
+ * @param {Array<object>} notes - The notes to play (see FALLBACK_TONES).
+ */
+function playTone(notes) {
+    const now = audioContext.currentTime;
+    notes.forEach(({ freq, wave, start, duration, gain }) => {
+        const oscillator = audioContext.createOscillator();
+        const envelope = audioContext.createGain();
+        oscillator.type = wave;
+        oscillator.frequency.value = freq;
+        envelope.gain.setValueAtTime(gain, now + start);
+        envelope.gain.exponentialRampToValueAtTime(0.001, now + start + duration);
+        oscillator.connect(envelope);
+        envelope.connect(masterGain);
+        oscillator.start(now + start);
+        oscillator.stop(now + start + duration);
+    });
+}
+
+/**
+ * Plays a sound from the pre-loaded buffers, or its synthesized fallback.
  * @param {string} name - The name of the sound to play (e.g., 'type', 'miss').
  */
 function play(name) {
-    // Audio is disabled, do nothing.
-    return;
+    if (isMuted || audioContext.state !== 'running') return;
+
+    const buffer = audioBuffers[name];
+    if (buffer) {
+        const source = audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(masterGain);
+        source.start();
+    } else if (FALLBACK_TONES[name]) {
+        playTone(FALLBACK_TONES[name]);
+    }
 }
 
 function toggleMute(muteState) {
     isMuted = typeof muteState === 'boolean' ? muteState : !isMuted;
+    applyVolume();
+    storageManager.saveSettings({ muted: isMuted });
+}
+
+/**
+ * Sets the master volume.
+ * @param {number} value - Volume between 0 and 1.
+ */
+function setVolume(value) {
+    volume = Math.min(1, Math.max(0, value));
+    applyVolume();
+    storageManager.saveSettings({ volume });
 }
 
 export const audioManager = {
     init,
     play,
     toggleMute,
+    setVolume,
+    loadSettings,
     isMuted: () => isMuted,
+    getVolume: () => volume,
 };
@@ -0,0 +1,52 @@
+/**
+ * badgeManager.js
+ *
+ * Awards badges declared by quest rewards (`reward.badge`) and lists them,
+ * earned or not, for the badge gallery.
+ */
+
+import { storageManager } from './storageManager.js';
+import { questsManager } from './questsManager.js';
+
+/**
+ * Awards a badge if it has not been earned before.
+ * @param {string} name - The badge name.
+ * @param {object} details - { questId, stats } describing the round it was earned in.
+ * @returns {boolean} True if the badge was newly earned.
+ */
+function award(name, { questId, stats }) {
+    if (storageManager.loadBadges()[name]) return false;
+    storageManager.saveBadge(name, {
+        earnedAt: Date.now(),
+        questId,
+        stats,
+    });
+    return true;
+}
+
+/**
+ * Lists every badge that can be earned, with its earned record if any.
+ * @returns {Array<object>} [{ name, description, earned, earnedAt, stats }]
+ */
+function getGallery() {
+    const earned = storageManager.loadBadges();
+    const badgeQuests = questsManager.getAllQuests().filter(q => q.reward?.badge);
+    const gallery = badgeQuests.map(q => ({
+        name: q.reward.badge,
+        description: q.description,
+        earned: Boolean(earned[q.reward.badge]),
+        ...earned[q.reward.badge],
+    }));
+
+    // Badges earned from quests that no longer exist are still shown.
+    Object.entries(earned)
+        .filter(([name]) => !gallery.some(b => b.name === name))
+        .forEach(([name, record]) => gallery.push({ name, description: '', earned: true, ...record }));
+
+    return gallery;
+}
+
+export const badgeManager = {
+    award,
+    getGallery,
+};
@@ -0,0 +1,167 @@
+/**
+ * campaign.js
+ *
+ * The campaign: ordered chapters of stages loaded from data/campaign.json. Each
+ * stage is a round with fixed settings and its own quests, cleared by completing
+ * every quest; stages unlock one after another across sessions. Completing a
+ * chapter unlocks the difficulties and phrase packs it lists, which stay locked
+ * for regular rounds until then.
+ */
+
+import { storageManager } from './storageManager.js';
+import { questsManager } from './questsManager.js';
+
+const CAMPAIGN_PATH = 'data/campaign.json';
+
+// Settings a stage can use. Weak-keys rounds depend on the player's own statistics, so they can't be stages.
+const STAGE_MODES = ['timed', 'phrases', 'sudden_death', 'zen'];
+const DIFFICULTIES = ['easy', 'normal', 'hard', 'lunatic'];
+
+let chapters = [];
+
+/**
+ * Validates the campaign, returning a list of human-readable errors.
+ * @param {object} data - The contents of data/campaign.json.
+ * @returns {Array<string>} Empty if the campaign is valid.
+ */
+function validateCampaign(data) {
+    if (!Array.isArray(data?.chapters)) return ['"chapters" must be a list.'];
+    const errors = [];
+    const ids = new Set();
+    const checkId = (id, name) => {
+        if (typeof id !== 'string' || !id) errors.push(`${name}: id must be a non-empty string.`);
+        else if (ids.has(id)) errors.push(`${name}: id "${id}" is used more than once.`);
+        ids.add(id);
+    };
+
+    data.chapters.forEach((chapter, chapterIndex) => {
+        const chapterName = `Chapter ${JSON.stringify(chapter?.id ?? chapterIndex + 1)}`;
+        checkId(chapter?.id, chapterName);
+        if (typeof chapter?.title !== 'string') errors.push(`${chapterName}: title must be a string.`);
+        const unlocks = chapter?.unlocks || {};
+        (unlocks.difficulties || []).filter(d => !DIFFICULTIES.includes(d)).forEach(d => {
+            errors.push(`${chapterName}: unlocks unknown difficulty "${d}".`);
+        });
+        if (unlocks.packs !== undefined && !Array.isArray(unlocks.packs)) errors.push(`${chapterName}: unlocks.packs must be a list.`);
+        if (!Array.isArray(chapter?.stages) || chapter.stages.length === 0) {
+            errors.push(`${chapterName}: stages must be a non-empty list.`);
+            return;
+        }
+        chapter.stages.forEach((stage, stageIndex) => {
+            const stageName = `Stage ${JSON.stringify(stage?.id ?? `${chapterIndex + 1}-${stageIndex + 1}`)}`;
+            checkId(stage?.id, stageName);
+            if (typeof stage?.title !== 'string') errors.push(`${stageName}: title must be a string.`);
+            if (!STAGE_MODES.includes(stage?.mode)) errors.push(`${stageName}: mode must be one of ${STAGE_MODES.join(', ')}.`);
+            if (!DIFFICULTIES.includes(stage?.difficulty)) errors.push(`${stageName}: difficulty must be one of ${DIFFICULTIES.join(', ')}.`);
+            if (typeof stage?.pack !== 'string') errors.push(`${stageName}: pack must be a phrase pack id.`);
+            if (stage?.mode === 'timed' && !(stage.timeLimit > 0)) errors.push(`${stageName}: timed stages need a timeLimit in seconds.`);
+            if (!Array.isArray(stage?.quests) || stage.quests.length === 0) {
+                errors.push(`${stageName}: quests must be a non-empty list.`);
+                return;
+            }
+            errors.push(...questsManager.validateQuests(stage.quests).errors.map(error => `${stageName}: ${error}`));
+        });
+    });
+    return errors;
+}
+
+/**
+ * Loads the campaign. If the file is missing or invalid there is no campaign and nothing is locked.
+ */
+async function init() {
+    try {
+        const response = await fetch(CAMPAIGN_PATH);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        const errors = validateCampaign(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid campaign in ${CAMPAIGN_PATH}:\n${errors.join('\n')}`);
+        }
+        chapters = data.chapters;
+    } catch (error) {
+        console.error("Failed to load the campaign (it is disabled):", error);
+        chapters = [];
+    }
+}
+
+/**
+ * Gets the campaign with the player's progress.
+ * A stage is unlocked once the stage before it is cleared; the first stage always is.
+ * @returns {Array<object>} Chapters { id, title, description, unlocks, status, stages } with stages
+ *   { id, title, mode, difficulty, timeLimit, pack, quests, status, record }. status is 'locked',
+ *   'unlocked' or 'completed'; record is the stage's first clear ({ completedAt, score }) or null.
+ */
+function getMap() {
+    const progress = storageManager.loadCampaignProgress();
+    let previousCleared = true;
+    return chapters.map(chapter => {
+        const stages = chapter.stages.map(stage => {
+            const record = progress[stage.id] || null;
+            const status = record ? 'completed' : (previousCleared ? 'unlocked' : 'locked');
+            previousCleared = Boolean(record);
+            return { ...stage, status, record };
+        });
+        let status = 'locked';
+        if (stages.every(stage => stage.status === 'completed')) status = 'completed';
+        else if (stages.some(stage => stage.status !== 'locked')) status = 'unlocked';
+        return { ...chapter, unlocks: chapter.unlocks || {}, status, stages };
+    });
+}
+
+/**
+ * Finds a stage the player can play.
+ * @param {string} stageId - The stage id.
+ * @returns {object | null} { chapter, stage } from getMap(), or null if the stage is unknown or locked.
+ */
+function getStage(stageId) {
+    for (const chapter of getMap()) {
+        const stage = chapter.stages.find(s => s.id === stageId);
+        if (stage) return stage.status === 'locked' ? null : { chapter, stage };
+    }
+    return null;
+}
+
+/**
+ * Records a cleared stage.
+ * @param {string} stageId - The stage id.
+ * @param {number} score - The round's score.
+ * @returns {object} { chapter, nextStage }: the chapter if this clear completed it (so its unlocks
+ *   now apply), and the stage now open to play next; either may be null.
+ */
+function completeStage(stageId, score) {
+    const before = getMap().find(c => c.stages.some(s => s.id === stageId));
+    storageManager.recordCampaignStage(stageId, { completedAt: Date.now(), score });
+    const map = getMap();
+    const chapter = map.find(c => c.id === before?.id);
+    const nextStage = map.flatMap(c => c.stages).find(s => s.status === 'unlocked') || null;
+    return {
+        chapter: before?.status !== 'completed' && chapter?.status === 'completed' ? chapter : null,
+        nextStage,
+    };
+}
+
+/**
+ * Gets the difficulties and phrase packs still locked behind unfinished chapters.
+ * @returns {object} { difficulties, packs }, each a map of id to the title of the chapter that unlocks it.
+ */
+function getLocks() {
+    const locks = { difficulties: {}, packs: {} };
+    getMap().filter(chapter => chapter.status !== 'completed').forEach(chapter => {
+        ['difficulties', 'packs'].forEach(kind => {
+            (chapter.unlocks[kind] || []).forEach(id => {
+                locks[kind][id] ??= chapter.title;
+            });
+        });
+    });
+    return locks;
+}
+
+export const campaign = {
+    init,
+    getMap,
+    getStage,
+    completeStage,
+    getLocks,
+};
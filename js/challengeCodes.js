@@ -0,0 +1,111 @@
+/**
+ * challengeCodes.js
+ *
+ * Encodes the settings and seed of a round as a short challenge code, so other
+ * players can play the same phrases and quests by entering the code or opening
+ * a link with `?challenge=<code>`.
+ *
+ * Format: <seed>-<mode><difficulty>[<time limit>]-<pack id>, e.g. "1k9x3ab-tn1o-scifi",
+ * with the seed and the time limit (timed rounds only, in seconds) in base 36.
+ */
+
+const URL_PARAMETER = 'challenge';
+
+// One-letter codes for each shareable mode and difficulty. Weak-keys rounds are
+// built from the player's own statistics, so they can't be shared.
+const MODE_CODES = { timed: 't', phrases: 'p', sudden_death: 's', zen: 'z' };
+const DIFFICULTY_CODES = { easy: 'e', normal: 'n', hard: 'h', lunatic: 'l' };
+
+const MAX_TIME_LIMIT = 600; // Seconds; longer time limits in a code are rejected
+
+/**
+ * Finds the key of an object that maps to a value.
+ */
+function keyOf(codes, value) {
+    return Object.keys(codes).find(key => codes[key] === value) || null;
+}
+
+/**
+ * Creates a random seed for a new round.
+ * @returns {number} A 32-bit unsigned integer.
+ */
+function createSeed() {
+    return Math.floor(Math.random() * 2 ** 32);
+}
+
+/**
+ * Checks whether a round with these settings can be shared as a challenge.
+ * @param {string} mode - The round mode.
+ * @returns {boolean}
+ */
+function isShareable(mode) {
+    return mode in MODE_CODES;
+}
+
+/**
+ * Encodes a round as a challenge code.
+ * @param {object} challenge - { seed, mode, difficulty, timeLimit, pack }; timeLimit is only used in timed mode.
+ * @returns {string | null} The code, or null if the mode or difficulty can't be shared.
+ */
+function encode({ seed, mode, difficulty, timeLimit, pack }) {
+    if (!isShareable(mode) || !DIFFICULTY_CODES[difficulty] || !pack) return null;
+    const time = mode === 'timed' ? Math.round(timeLimit).toString(36) : '';
+    return `${(seed >>> 0).toString(36)}-${MODE_CODES[mode]}${DIFFICULTY_CODES[difficulty]}${time}-${pack}`;
+}
+
+/**
+ * Decodes a challenge code.
+ * @param {string} code - The code, as typed or taken from a link.
+ * @returns {object | null} { code, seed, mode, difficulty, timeLimit, pack } with timeLimit null
+ *   outside timed mode, or null if the code is malformed.
+ */
+function decode(code) {
+    const match = /^([0-9a-z]{1,7})-([a-z])([a-z])([0-9a-z]*)-([\w-]+)$/.exec(String(code || '').trim().toLowerCase());
+    if (!match) return null;
+    const [, seedText, modeCode, difficultyCode, timeText, pack] = match;
+
+    const seed = parseInt(seedText, 36);
+    const mode = keyOf(MODE_CODES, modeCode);
+    const difficulty = keyOf(DIFFICULTY_CODES, difficultyCode);
+    if (seed >= 2 ** 32 || !mode || !difficulty) return null;
+
+    let timeLimit = null;
+    if (mode === 'timed') {
+        timeLimit = parseInt(timeText, 36);
+        if (!(timeLimit > 0 && timeLimit <= MAX_TIME_LIMIT)) return null;
+    } else if (timeText) {
+        return null;
+    }
+    const challenge = { seed, mode, difficulty, timeLimit, pack };
+    return { code: encode(challenge), ...challenge };
+}
+
+/**
+ * Reads a challenge code from a page's query string.
+ * @param {string} search - e.g. window.location.search.
+ * @returns {string | null} The raw code, or null if the page has none.
+ */
+function readFromQuery(search) {
+    return new URLSearchParams(search).get(URL_PARAMETER);
+}
+
+/**
+ * Builds a link that opens the game with a challenge.
+ * @param {string} code - A challenge code.
+ * @param {Location | URL} [location] - The page to link to; defaults to the current page.
+ * @returns {string} The link.
+ */
+function buildLink(code, location = window.location) {
+    const url = new URL(location.pathname, location.origin);
+    url.searchParams.set(URL_PARAMETER, code);
+    return url.toString();
+}
+
+export const challengeCodes = {
+    createSeed,
+    isShareable,
+    encode,
+    decode,
+    readFromQuery,
+    buildLink,
+};
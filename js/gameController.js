@@ -10,31 +10,69 @@ import { inputManager } from './inputManager.js';
 import { audioManager } from './audioManager.js';
 import { questsManager } from './questsManager.js';
 import { storageManager } from './storageManager.js';
+import { phraseDeck } from './phraseDeck.js';
+import { badgeManager } from './badgeManager.js';
+import { romaji } from './romaji.js';
+import { phrasePacks } from './phrasePacks.js';
+import { keyStats } from './keyStats.js';
+import { weakKeyTrainer } from './weakKeyTrainer.js';
+import { replays } from './replays.js';
+import { challengeCodes } from './challengeCodes.js';
+import { multiplayer } from './multiplayer.js';
+import { roundTimeline } from './roundTimeline.js';
+import { scoring } from './scoring.js';
+import { campaign } from './campaign.js';
 
-const GAME_DURATION = 60; // seconds
+const GAME_DURATION = 60; // Default time limit for timed rounds, in seconds
 
-// Scoring constants from design document
-const SCORING = {
-    basePoint: 10,
-    missPenalty: 15,
-    timeBonusFactor: 200,
-    comboMultiplier: 0.02,
-    difficultyFactor: {
-        easy: 0.8,
-        normal: 1,
-        hard: 1.2,
-        lunatic: 1.5
-    }
+// Round modes selectable from the start screen.
+const GAME_MODES = {
+    timed: { label: 'Timed', countdown: true },             // Ends when the time limit runs out
+    phrases: { label: 'Phrase Count', phraseTarget: 10 },   // Ends after a fixed number of phrases
+    sudden_death: { label: 'Sudden Death', endOnMiss: true }, // Ends on the first miss
+    zen: { label: 'Zen', endOnDemand: true }, // No timer, ends when the player chooses (no time bonus, see data/scoring.json)
+    weak_keys: { label: 'Weak Keys', phraseTarget: 10, weakKeys: true }, // Phrases targeting the player's weakest keys
+};
+
+const GHOST_UPDATE_INTERVAL = 100; // Milliseconds between ghost cursor updates
+
+const TIMER_SETTINGS = {
+    tickInterval: 250,   // Milliseconds between clock checks; the clock itself is measured, not counted
+    resumeCountdown: 3,  // Seconds of countdown before a paused round continues
+};
+
+const INPUT_SETTINGS = {
+    pastePolicy: 'block', // 'block' rejects pasted text; 'flag' lets it through unscored and flags the round
 };
 
 const state = {
     status: 'ready', // ready, playing, finished
-    phrases: [],
+    phrases: [], // Phrases of the selected pack
+    packId: null,
+    language: 'en', // From the pack; Japanese phrases carry a kana reading typed as romaji
     currentPhrase: null,
-    timer: GAME_DURATION,
+    romajiMatcher: null, // Tracks romaji input for Japanese phrases
+    isCode: false, // Code packs: multi-line snippets, Enter types a newline
+    indentation: 'auto', // Code packs: 'auto' skips leading indentation, 'manual' requires typing it
+    mode: 'timed',
+    timeLimit: GAME_DURATION, // Timed mode only
+    timer: GAME_DURATION, // Remaining seconds in timed mode, elapsed seconds otherwise
+    elapsed: 0, // Whole seconds played since the first keystroke, excluding pauses
+    startTime: 0, // performance.now() at the first keystroke, moved forward by the length of each pause
+    phraseStartTime: 0, // performance.now() when the current phrase was shown (or typing began), moved like startTime
+    isPaused: false,
+    pauseStartTime: 0, // performance.now() when the current pause began
+    resumeCountdownId: null,
+    phrasesCompleted: 0,
     score: 0,
+    scoringRules: null, // The round's scoring rules (see scoring.js)
+    scoreBreakdown: null, // Points per breakdown item this round; they add up to score
     misses: 0, // Per-phrase misses
+    corrections: 0, // Deleted characters this round
+    roundMisses: 0, // Misses this round
     combo: 0,
+    maxCombo: 0,
+    completedQuestIds: [],
     totalTyped: 0,
     totalCorrect: 0,
     difficulty: 'normal',
@@ -42,6 +80,22 @@ const state = {
     lastGameResults: null,
     isGameStarted: false,
     hasUserTyped: false,
+    previousInput: '', // Input value after the last processed change
+    flagged: false, // Set when pasted text was let through this round
+    keyStats: null, // Per-key statistics for this round (see keyStats.js)
+    lastKeyTime: 0, // performance.now() of the previous keystroke in the current phrase, 0 before the first
+    trainingProfile: null, // Weak-keys mode: the keys and bigrams targeted this round
+    recordedInput: '', // Input value last written to the round's replay
+    ghostReplay: null, // The best run being raced, if any
+    ghost: null, // Player for ghostReplay (see replays.createPlayer)
+    ghostIntervalId: null,
+    seed: 0, // Seeds the round's phrase order and random quests
+    challenge: null, // The challenge being played (see challengeCodes.decode), kept for every round until cleared
+    race: null, // The multiplayer race being played this round: { seed, mode, difficulty, timeLimit, pack }
+    campaignStage: null, // The campaign stage being played this round: { chapter, stage } (see campaign.getStage)
+    timeline: null, // WPM samples, miss and quest events, and completed phrases this round (see roundTimeline.js)
+    phraseScoreStart: 0, // Score when the current phrase was shown
+    phraseCorrectStart: 0, // totalCorrect when the current phrase was shown
 };
 
 /**
@@ -49,23 +103,14 @@ const state = {
  */
 async function init() {
     try {
-        const response = await fetch('data/phrases.json');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
-        if (!data || !Array.isArray(data.phrases)) {
-            throw new Error('Invalid phrases data format.');
-        }
-        state.phrases = data.phrases;
-        console.log(`Loaded ${state.phrases.length} phrases.`);
+        await Promise.all([phrasePacks.init(), weakKeyTrainer.init(), scoring.init(), campaign.init()]);
     } catch (error) {
         console.error("Failed to load phrases:", error);
         // Re-throw to ensure Promise.all catches it
         throw error;
     }
 
-    inputManager.init(handleInput, handleCommit);
+    inputManager.init(handleInput, handleCommit, handlePaste, handleTab);
     renderer.toggleStartScreen(true);
 }
 
@@ -75,30 +120,165 @@ async function init() {
 function startGame() {
     state.status = 'playing';
     state.score = 0;
+    state.scoreBreakdown = scoring.createBreakdown();
     state.misses = 0;
+    state.corrections = 0;
+    state.roundMisses = 0;
     state.combo = 0;
-    state.timer = GAME_DURATION;
+    state.maxCombo = 0;
+    state.completedQuestIds = [];
+    state.flagged = false;
+    state.keyStats = keyStats.createEmpty();
+    state.timeline = roundTimeline.createEmpty();
+    state.isPaused = false;
+    clearInterval(state.resumeCountdownId);
+    state.resumeCountdownId = null;
+    renderer.showPauseOverlay(null);
+    renderer.showCountdown(null);
+    // Races, campaign stages and challenges decide the settings instead of the start screen.
+    const stage = state.campaignStage?.stage;
+    const challenge = state.race || stage || state.challenge;
+    state.mode = challenge ? challenge.mode : document.getElementById('mode-select').value;
+    state.timeLimit = (challenge ? challenge.timeLimit : Number(document.getElementById('time-limit-select').value)) || GAME_DURATION;
+    state.elapsed = 0;
+    state.timer = GAME_MODES[state.mode].countdown ? state.timeLimit : 0;
+    state.phrasesCompleted = 0;
     state.totalTyped = 0;
     state.totalCorrect = 0;
-    state.difficulty = document.getElementById('difficulty-select').value;
+    state.difficulty = challenge ? challenge.difficulty : document.getElementById('difficulty-select').value;
+    state.scoringRules = scoring.getRules(state.difficulty, state.mode);
+    const pack = phrasePacks.getPack(challenge ? challenge.pack : document.getElementById('pack-select').value)
+        || phrasePacks.getPacks()[0];
+    state.seed = challenge?.seed ?? challengeCodes.createSeed();
+    state.packId = pack?.id || null;
+    state.phrases = pack?.phrases || [];
+    state.language = pack?.language || 'en';
+    state.isCode = pack?.kind === 'code';
+    state.indentation = document.getElementById('indent-select').value || 'auto';
+    inputManager.setMultiline(state.isCode);
+    renderer.setCodeLayout(state.isCode);
 
     renderer.clearMessages();
-    questsManager.reset();
+    if (state.race) {
+        renderer.renderNotice('Race on! Everyone gets the same phrases and quests, and the clock is already running.');
+    } else if (stage) {
+        renderer.renderNotice(`${state.campaignStage.chapter.title}, ${stage.title}: complete every quest to clear the stage.`);
+    } else if (challenge) {
+        renderer.renderNotice(`Challenge ${challenge.code}: the same phrases and quests as everyone playing this code.`);
+    }
+    renderer.toggleRacePanel(Boolean(state.race));
+    renderer.renderRaceRanking(state.race ? [] : null);
+    const raceGhost = !challenge && document.getElementById('ghost-select').value === 'best';
+    state.ghostReplay = raceGhost ? replays.findBest(getSettingsKey()) : null;
+    state.ghost = state.ghostReplay ? replays.createPlayer(state.ghostReplay) : null;
+    if (raceGhost && !state.ghostReplay) {
+        renderer.renderNotice('No saved run with these settings yet, so there is no ghost to race this round.');
+    }
+    renderer.toggleGhostPanel(Boolean(state.ghost));
+    replays.start();
+    const deckInfo = buildDeck();
+    if (deckInfo.widenedTo) {
+        const tiers = deckInfo.widenedTo.map(t => t.toUpperCase()).join(', ');
+        renderer.renderNotice(`Not enough ${state.difficulty.toUpperCase()} phrases. Mixing in ${tiers} phrases this round.`);
+    }
+    if (state.language === 'ja') {
+        renderer.renderNotice('Type the romaji directly with your IME turned off. Alternate spellings (shi/si, tsu/tu, nn/n\') are accepted.');
+    }
+    if (state.isCode) {
+        renderer.renderNotice(state.indentation === 'auto'
+            ? 'Enter starts a new line and indentation is filled in for you. Press Enter after the last line to submit.'
+            : 'Enter starts a new line; type indentation with Tab or spaces. Press Enter after the last line to submit.');
+    }
+    questsManager.reset({
+        questSet: challenge ? 'challenge' : document.getElementById('quest-set-select').value,
+        difficulty: state.difficulty,
+        seed: state.seed,
+        quests: stage ? stage.quests : null,
+    });
     renderer.renderQuests(questsManager.getActiveQuests());
+    renderer.setTimerLabel(GAME_MODES[state.mode].countdown ? 'Timer' : 'Elapsed');
+    renderer.toggleEndRoundButton(Boolean(GAME_MODES[state.mode].endOnDemand));
     updateHUD();
     nextPhrase();
 
     // state.intervalId = setInterval(tick, 1000);
+    if (state.race) beginTiming(); // Racers start together, not at their first keystroke
     renderer.toggleStartScreen(false);
     inputManager.focus(); // Ensure input is focused after game starts
-    // audioManager.play('start');
+    audioManager.play('start');
+}
+
+/**
+ * Starts a multiplayer race round with the settings and seed every racer shares.
+ * A round in progress is abandoned.
+ * @param {object} race - { seed, mode, difficulty, timeLimit, pack } from the race server.
+ */
+function startRace(race) {
+    if (state.status === 'playing') {
+        clearInterval(state.intervalId);
+        clearInterval(state.ghostIntervalId);
+        state.isGameStarted = false;
+    }
+    state.race = race; // Races can't be paused, since the racers share one clock
+    state.campaignStage = null;
+    startGame();
+}
+
+/**
+ * Starts a round of a campaign stage with the stage's settings and quests.
+ * @param {string} stageId - The stage to play.
+ * @returns {boolean} False if the stage is unknown or still locked.
+ */
+function startCampaignStage(stageId) {
+    const campaignStage = campaign.getStage(stageId);
+    if (!campaignStage) return false;
+    state.campaignStage = campaignStage;
+    startGame();
+    return true;
+}
+
+/**
+ * Builds the round's phrase deck. Weak-keys rounds use the phrases densest in the
+ * player's weakest keys, recalculated from the statistics saved after every round.
+ * @returns {object} Deck info from phraseDeck.
+ */
+function buildDeck() {
+    state.trainingProfile = null;
+    phraseDeck.setSeed(state.seed);
+    if (state.ghostReplay) {
+        renderer.renderNotice(`Racing your best run (${state.ghostReplay.score} points) on the same phrases. The ghost starts when you do.`);
+        return phraseDeck.buildFixed(state.ghostReplay.phrases, { ordered: true });
+    }
+    if (GAME_MODES[state.mode].weakKeys) {
+        const profile = weakKeyTrainer.buildProfile(storageManager.loadKeyStats());
+        if (weakKeyTrainer.hasTargets(profile)) {
+            state.trainingProfile = profile;
+            const targets = [...profile.keys, ...profile.bigrams].map(t => `"${t.id}"`).join(', ');
+            renderer.renderNotice(`Training your weakest keys: ${targets}.`);
+            return phraseDeck.buildFixed(weakKeyTrainer.buildPhrases(state.phrases, profile, {
+                language: state.language,
+                generate: state.language === 'en' && !state.isCode,
+            }));
+        }
+        renderer.renderNotice('Not enough typing data to find weak keys yet. This round uses regular phrases; play a few rounds first.');
+    }
+    return phraseDeck.build(state.phrases, state.difficulty);
 }
 
 /**
  * Ends the current game.
  */
 function endGame() {
+    recordReplayInput();
+    const duration = getRoundDuration();
+    const wasStarted = state.isGameStarted;
     clearInterval(state.intervalId);
+    clearInterval(state.ghostIntervalId);
+    clearInterval(state.resumeCountdownId);
+    state.resumeCountdownId = null;
+    state.isPaused = false;
+    renderer.showPauseOverlay(null);
+    renderer.showCountdown(null);
     state.status = 'finished';
     state.isGameStarted = false; // Reset flag
     state.hasUserTyped = false; // Reset flag
@@ -106,40 +286,300 @@ function endGame() {
 
     const accuracy = state.totalTyped > 0 ? (state.totalCorrect / state.totalTyped) * 100 : 0;
     // A standard "word" is 5 characters. WPM = (total chars / 5) / (time in minutes)
-    const wpm = (state.totalCorrect / 5) / (GAME_DURATION / 60);
+    const wpm = duration > 0 ? (state.totalCorrect / 5) / (duration / 60) : 0;
+    renderer.toggleEndRoundButton(false);
 
-    const completedQuests = questsManager.check('game_end', { 
-        difficulty: state.difficulty,
-        accuracy: accuracy
-    });
-    handleCompletedQuests(completedQuests);
+    const questResult = questsManager.check('game_end', { ...getQuestStats(duration * 1000), accuracy, wpm });
+    handleCompletedQuests(questResult, duration * 1000);
 
+    if (wasStarted) roundTimeline.sample(state.timeline, duration * 1000, state.totalCorrect);
     renderer.displayResults({
         score: Math.round(state.score),
         accuracy: accuracy,
         wpm: wpm,
+        mode: getModeLabel(),
+        timeline: state.timeline,
+        breakdown: scoring.summarize(state.scoreBreakdown),
     });
 
     state.lastGameResults = {
         score: Math.round(state.score),
         accuracy: accuracy,
         wpm: wpm,
+        difficulty: state.difficulty,
+        language: state.language,
+        pack: state.packId,
+        mode: state.mode,
+        ...(state.mode === 'timed' && { timeLimit: state.timeLimit }),
+        ...(state.mode === 'phrases' && { phraseTarget: GAME_MODES.phrases.phraseTarget }),
+        duration: duration,
+        phrasesCompleted: state.phrasesCompleted,
+        maxCombo: state.maxCombo,
+        misses: state.roundMisses,
+        questsCompleted: [...state.completedQuestIds],
+        corrections: state.corrections,
+        flagged: state.flagged,
+        seed: state.seed,
     };
+    const challengeCode = getChallengeCode();
+    if (challengeCode) {
+        state.lastGameResults.challengeCode = challengeCode;
+    }
+    renderer.renderChallengeCode(challengeCode);
+    renderer.toggleCampaignMapButton(Boolean(state.campaignStage));
+    if (state.campaignStage) {
+        finishCampaignStage();
+    }
+
+    const replay = replays.finish({
+        key: getSettingsKey(),
+        score: state.lastGameResults.score,
+        wpm,
+        accuracy,
+        pack: state.packId,
+        mode: state.mode,
+        difficulty: state.difficulty,
+    }, duration * 1000);
+    if (replay) {
+        replays.save(replay);
+        state.lastGameResults.replayId = replay.id;
+    }
+    renderer.toggleWatchReplayButton(Boolean(replay));
+    if (state.race) {
+        multiplayer.sendFinish({ score: state.lastGameResults.score, wpm, accuracy });
+        state.lastGameResults.race = true;
+        state.race = null;
+    }
+    if (state.ghostReplay) {
+        const margin = state.lastGameResults.score - state.ghostReplay.score;
+        renderer.showToast(margin > 0 ? `You beat your ghost by ${margin} points!` : `Your ghost won by ${-margin} points.`);
+    }
 
     storageManager.saveGameResult(state.lastGameResults);
+    storageManager.saveKeyStats(keyStats.merge(storageManager.loadKeyStats(), state.keyStats));
+    if (state.trainingProfile) {
+        weakKeyTrainer.recordProgress(state.trainingProfile, state.keyStats);
+    }
+    renderer.renderKeyAnalysis('results', {
+        keys: keyStats.summarizeKeys(state.keyStats),
+        confusions: keyStats.topConfusions(state.keyStats),
+    });
 }
 
 /**
- * The main game loop tick, called every second.
+ * Records the campaign stage just played as cleared if every quest was completed,
+ * announcing what it unlocked. The stage only lasts one round.
+ */
+function finishCampaignStage() {
+    const { stage } = state.campaignStage;
+    state.campaignStage = null;
+    state.lastGameResults.campaignStage = stage.id;
+    const cleared = questsManager.getActiveQuests().every(q => q.completed);
+    if (!cleared) {
+        renderer.showToast(`Stage "${stage.title}" not cleared: complete every quest to clear it.`);
+        return;
+    }
+    const { chapter, nextStage } = campaign.completeStage(stage.id, state.lastGameResults.score);
+    state.lastGameResults.campaignCleared = true;
+    renderer.showToast(`Stage cleared: ${stage.title}!`);
+    if (chapter) {
+        renderer.renderContentLocks(campaign.getLocks());
+        const unlocked = [
+            ...(chapter.unlocks.difficulties || []).map(d => `${d.toUpperCase()} difficulty`),
+            ...(chapter.unlocks.packs || []).map(id => `the ${phrasePacks.getPack(id)?.name || id} pack`),
+        ];
+        renderer.showToast(unlocked.length > 0
+            ? `${chapter.title} complete! Unlocked ${unlocked.join(' and ')}.`
+            : `${chapter.title} complete!`);
+    } else if (nextStage && stage.status !== 'completed') {
+        renderer.showToast(`Next stage unlocked: ${nextStage.title}`);
+    }
+}
+
+/**
+ * Ends the round on demand (zen mode).
+ */
+function endRound() {
+    if (state.status === 'playing') {
+        endGame();
+    }
+}
+
+/**
+ * Gets the milliseconds played since the first keystroke, excluding pauses.
+ * @returns {number}
+ */
+function getActiveTime() {
+    if (!state.isGameStarted) return 0;
+    return (state.isPaused ? state.pauseStartTime : performance.now()) - state.startTime;
+}
+
+/**
+ * Gets the seconds played this round, measured from the first keystroke and excluding pauses.
+ * @returns {number} The round duration in seconds.
+ */
+function getRoundDuration() {
+    const seconds = getActiveTime() / 1000;
+    return GAME_MODES[state.mode].countdown ? Math.min(seconds, state.timeLimit) : seconds;
+}
+
+/**
+ * Gets the key identifying rounds comparable with the current one, for ghost races.
+ * @returns {string}
+ */
+function getSettingsKey() {
+    return replays.settingsKey({
+        pack: state.packId,
+        mode: state.mode,
+        difficulty: state.difficulty,
+        timeLimit: state.mode === 'timed' ? state.timeLimit : null,
+    });
+}
+
+/**
+ * Gets the challenge code that deals this round's phrases again. Everyone playing
+ * the code also gets the same quests, drawn from the seed. Ghost races follow the raced replay's phrases and weak-keys rounds the player's
+ * own statistics, custom packs only exist on this machine, and campaign stages have their own quests, so none can be shared.
+ * @returns {string | null} The code, or null if the round can't be shared.
+ */
+function getChallengeCode() {
+    if (state.ghostReplay || state.campaignStage || !phrasePacks.getPack(state.packId)?.builtIn) return null;
+    return challengeCodes.encode({
+        seed: state.seed,
+        mode: state.mode,
+        difficulty: state.difficulty,
+        timeLimit: state.timeLimit,
+        pack: state.packId,
+    });
+}
+
+/**
+ * Writes the input's latest change to the round's replay.
+ */
+function recordReplayInput() {
+    if (!state.isGameStarted || state.previousInput === state.recordedInput) return;
+    replays.recordInput(state.recordedInput, state.previousInput, getActiveTime());
+    state.recordedInput = state.previousInput;
+}
+
+/**
+ * Moves the ghost's cursor to where the raced run was at this point of its round.
+ */
+function updateGhost() {
+    const ghost = state.ghost.stateAt(getActiveTime());
+    const phraseDelta = ghost.phraseIndex - state.phrasesCompleted;
+    renderer.updateGhost({ charIndex: phraseDelta === 0 ? ghost.typed.length : null, phraseDelta });
+}
+
+/**
+ * Gets a display label for the current mode, e.g. "Timed (30s)".
+ * @returns {string}
+ */
+function getModeLabel() {
+    const { label, phraseTarget } = GAME_MODES[state.mode];
+    if (state.mode === 'timed') return `${label} (${state.timeLimit}s)`;
+    if (phraseTarget) return `${label} (${phraseTarget})`;
+    return label;
+}
+
+/**
+ * The main game loop tick. The clock is read from the high-resolution time played,
+ * so late or skipped ticks (e.g. in a background tab) don't make it drift.
  */
 function tick() {
-    state.timer--;
-    updateHUD();
-    if (state.timer <= 0) {
+    const activeTime = getActiveTime();
+    const elapsed = Math.floor(activeTime / 1000);
+    const { countdown } = GAME_MODES[state.mode];
+    if (elapsed !== state.elapsed) {
+        state.elapsed = elapsed;
+        state.timer = countdown ? Math.max(0, state.timeLimit - elapsed) : elapsed;
+        roundTimeline.sample(state.timeline, activeTime, state.totalCorrect);
+        updateHUD();
+    }
+    if (countdown && activeTime >= state.timeLimit * 1000) {
         endGame();
     }
 }
 
+/**
+ * Starts the interval timers that run while the round clock is going.
+ */
+function startIntervals() {
+    state.intervalId = setInterval(tick, TIMER_SETTINGS.tickInterval);
+    if (state.ghost) {
+        state.ghostIntervalId = setInterval(updateGhost, GHOST_UPDATE_INTERVAL);
+    }
+}
+
+/**
+ * Pauses the round: the clock stops and input is ignored until the round is resumed.
+ * Races can't be paused.
+ * @param {string} [reason] - Why the round was paused, shown on the pause overlay.
+ * @returns {boolean} True if the round is now paused.
+ */
+function pause(reason = '') {
+    if (state.status !== 'playing' || state.race) return false;
+    if (state.resumeCountdownId) {
+        // Paused again during the resume countdown: keep the original pause.
+        clearInterval(state.resumeCountdownId);
+        state.resumeCountdownId = null;
+        renderer.showCountdown(null);
+    } else if (!state.isPaused) {
+        state.isPaused = true;
+        state.pauseStartTime = performance.now();
+        clearInterval(state.intervalId);
+        clearInterval(state.ghostIntervalId);
+        recordReplayInput();
+    }
+    renderer.showPauseOverlay(reason);
+    return true;
+}
+
+/**
+ * Resumes a paused round after a short countdown.
+ */
+function resume() {
+    if (!state.isPaused || state.resumeCountdownId) return;
+    renderer.showPauseOverlay(null);
+    let remaining = TIMER_SETTINGS.resumeCountdown;
+    renderer.showCountdown(remaining);
+    state.resumeCountdownId = setInterval(() => {
+        remaining--;
+        if (remaining > 0) {
+            renderer.showCountdown(remaining);
+            return;
+        }
+        clearInterval(state.resumeCountdownId);
+        state.resumeCountdownId = null;
+        renderer.showCountdown(null);
+        continueRound();
+    }, 1000);
+    inputManager.focus();
+}
+
+/**
+ * Restarts the clock after a pause, moving every time anchor forward by the pause's
+ * length so scoring, key latencies and WPM never see the paused time.
+ */
+function continueRound() {
+    const pausedFor = performance.now() - state.pauseStartTime;
+    state.startTime += pausedFor;
+    state.phraseStartTime += pausedFor;
+    if (state.lastKeyTime) state.lastKeyTime += pausedFor;
+    state.isPaused = false;
+    state.pauseStartTime = 0;
+    if (state.isGameStarted) startIntervals();
+    inputManager.focus();
+}
+
+/**
+ * Pauses a running round, or resumes a paused one.
+ */
+function togglePause() {
+    if (state.isPaused && !state.resumeCountdownId) resume();
+    else pause();
+}
+
 /**
  * Loads the next phrase for the player to type.
  */
@@ -155,116 +595,441 @@ function nextPhrase() {
     }
 
     inputManager.clear();
+    state.previousInput = '';
+    state.recordedInput = '';
     renderer.clearInputDisplay();
 
-    let newPhrase;
-    do {
-        newPhrase = state.phrases[Math.floor(Math.random() * state.phrases.length)];
-    } while (state.phrases.length > 1 && newPhrase?.id === state.currentPhrase?.id);
-    
-    state.currentPhrase = newPhrase;
+    state.currentPhrase = phraseDeck.draw();
     state.misses = 0; // Reset per-phrase misses
+    state.phraseStartTime = performance.now();
+    state.lastKeyTime = 0; // Reading time before the first key isn't latency
+    state.phraseScoreStart = state.score;
+    state.phraseCorrectStart = state.totalCorrect;
 
     if (!state.currentPhrase) {
         renderer.renderNewPhrase("Error: Failed to select a new phrase.");
         return;
     }
+    replays.recordPhrase(state.currentPhrase);
 
-    // Check for special character quest
-    const questResult = questsManager.check('phrase_start', { text: state.currentPhrase.text });
+    const questResult = questsManager.check('phrase_start', {
+        ...getQuestStats(),
+        text: state.currentPhrase.text,
+        length: state.currentPhrase.text.length,
+    });
     handleCompletedQuests(questResult);
 
-    renderer.renderNewPhrase(state.currentPhrase.text);
+    if (state.isCode) {
+        state.romajiMatcher = null;
+        renderer.renderCodePhrase(state.currentPhrase.text, state.currentPhrase.lang);
+        applyAutoIndentation('');
+    } else if (state.language === 'ja') {
+        state.romajiMatcher = romaji.createMatcher(state.currentPhrase.kana);
+        renderer.renderNewPhrase(state.currentPhrase.text, {
+            kana: state.currentPhrase.kana,
+            romaji: state.romajiMatcher.getSuggestion(),
+        });
+    } else {
+        state.romajiMatcher = null;
+        renderer.renderNewPhrase(state.currentPhrase.text);
+    }
     updateHUD();
 }
 
 /**
- * Handles input from the inputManager.
+ * Starts the round clock (and the ghost, if racing one).
+ */
+function beginTiming() {
+    state.isGameStarted = true;
+    state.startTime = performance.now();
+    state.phraseStartTime = state.startTime;
+    roundTimeline.sample(state.timeline, 0, 0);
+    startIntervals();
+    // Optional: audioManager.play('game_start_sound');
+}
+
+/**
+ * Handles input from the inputManager, then records the resulting change in the round's replay.
  * @param {string} typedText - The current text in the input field.
+ * @param {object} [options] - See applyInput().
  */
-function handleInput(typedText) {
+function handleInput(typedText, options) {
+    applyInput(typedText, options);
+    recordReplayInput();
+}
+
+/**
+ * Applies a change of the input.
+ * The change is diffed against the previously processed value (common prefix and
+ * suffix), so every inserted character is scored exactly once, even mid-text, and
+ * only deleted characters count as corrections.
+ * @param {string} typedText - The current text in the input field.
+ * @param {object} [options]
+ * @param {boolean} [options.pasted] - Whether the change came from a paste or drop.
+ */
+function applyInput(typedText, { pasted = false } = {}) {
     if (state.status !== 'playing') return;
+    if (state.isPaused) {
+        // Keys pressed while paused are dropped.
+        inputManager.setValue(state.previousInput);
+        return;
+    }
+
+    const previousText = state.previousInput;
+    if (typedText === previousText) return; // Duplicate event (e.g. after compositionend)
+
+    if (pasted) {
+        // Only reachable with the 'flag' paste policy: the text stays but is never scored.
+        state.flagged = true;
+        state.previousInput = typedText;
+        if (state.romajiMatcher) {
+            inputManager.setValue(state.romajiMatcher.getTyped());
+            state.previousInput = state.romajiMatcher.getTyped();
+        } else {
+            renderer.updateInputDisplay(state.currentPhrase.text, typedText);
+        }
+        return;
+    }
 
     // Start timer on first character
-    if (!state.isGameStarted && typedText.length === 1 && typedText.trim() !== '') {
-        state.isGameStarted = true;
-        state.intervalId = setInterval(tick, 1000);
-        // Optional: audioManager.play('game_start_sound');
+    if (!state.isGameStarted && typedText.trim() !== '') {
+        beginTiming();
+    }
+
+    if (state.romajiMatcher) {
+        handleRomajiInput(typedText);
+        state.previousInput = state.romajiMatcher.getTyped();
+        return;
+    }
+
+    state.previousInput = typedText;
+
+    let commonLength = 0;
+    while (commonLength < previousText.length && commonLength < typedText.length
+        && previousText[commonLength] === typedText[commonLength]) {
+        commonLength++;
+    }
+
+    // The suffix may not overlap the prefix in either string.
+    let suffixLength = 0;
+    while (suffixLength < previousText.length - commonLength && suffixLength < typedText.length - commonLength
+        && previousText[previousText.length - 1 - suffixLength] === typedText[typedText.length - 1 - suffixLength]) {
+        suffixLength++;
+    }
+
+    const deletedCount = previousText.length - commonLength - suffixLength;
+    for (let i = 0; i < deletedCount; i++) {
+        scoreCorrection();
+    }
+
+    [...typedText.slice(commonLength, typedText.length - suffixLength)].forEach((char, offset) => {
+        const index = commonLength + offset;
+        const expected = state.currentPhrase.text[index];
+        scoreKeystroke(char === expected, { expected, typed: char, previous: state.currentPhrase.text[index - 1] });
+    });
+
+    if (state.isCode && typedText.length > previousText.length) {
+        applyAutoIndentation(typedText);
+    } else {
+        renderer.updateInputDisplay(state.currentPhrase.text, typedText);
+        if (state.isCode) renderer.updateCodeProgress(state.currentPhrase.text, typedText);
+    }
+}
+
+/**
+ * Code packs: when the input so far is correct and ends at the start of a line,
+ * fills in that line's indentation without scoring it (if indentation is skipped).
+ * Always refreshes the input display.
+ * @param {string} typedText - The current text in the input field.
+ */
+function applyAutoIndentation(typedText) {
+    const { text } = state.currentPhrase;
+    const atLineStart = typedText === '' || typedText.endsWith('\n');
+    if (state.indentation === 'auto' && atLineStart && text.startsWith(typedText)) {
+        typedText += text.slice(typedText.length).match(/^[ \t]*/)[0];
+        inputManager.setValue(typedText);
+        state.previousInput = typedText;
+    }
+    renderer.updateInputDisplay(text, typedText);
+    renderer.updateCodeProgress(text, typedText);
+}
+
+/**
+ * Code packs: decides what Tab inserts. Where the snippet expects indentation,
+ * Tab types one level of it (a tab, or up to four spaces); elsewhere it types a tab.
+ * @param {string} typedText - The current text in the input field.
+ * @returns {string} The text to insert.
+ */
+function handleTab(typedText) {
+    const expected = state.currentPhrase?.text.slice(typedText.length) || '';
+    const indentation = expected.match(/^(\t| {1,4})/);
+    return indentation ? indentation[0] : '\t';
+}
+
+/**
+ * Decides whether text may be pasted into the input, following INPUT_SETTINGS.pastePolicy.
+ * @returns {boolean} False to block the paste.
+ */
+function handlePaste() {
+    if (state.status !== 'playing' || INPUT_SETTINGS.pastePolicy === 'flag') return true;
+    renderer.showToast('Pasting is disabled during a round.');
+    return false;
+}
+
+/**
+ * Applies the penalty for deleting a typed character.
+ */
+function scoreCorrection() {
+    state.corrections++;
+    addPoints('corrections', -state.scoringRules.correctionPenalty);
+    updateHUD();
+}
+
+/**
+ * Handles romaji input for a Japanese phrase. Accepted keys stay in the input;
+ * missed keys are scored and removed, and deleting accepted keys is not allowed.
+ * @param {string} typedText - The current text in the input field.
+ */
+function handleRomajiInput(typedText) {
+    const matcher = state.romajiMatcher;
+    const accepted = matcher.getTyped();
+
+    if (typedText.length > accepted.length && typedText.startsWith(accepted)) {
+        [...typedText.slice(accepted.length)].forEach(char => {
+            // Any accepted spelling counts as the expected key; a miss is charged to the suggested one.
+            const suggested = matcher.getSuggestion()[matcher.getTyped().length];
+            const previous = matcher.getTyped().slice(-1);
+            const typed = char.toLowerCase();
+            const isCorrect = matcher.input(char);
+            scoreKeystroke(isCorrect, { expected: isCorrect ? typed : suggested, typed, previous });
+        });
     }
 
-    renderer.updateInputDisplay(state.currentPhrase.text, typedText);
+    const typed = matcher.getTyped();
+    const suggestion = matcher.getSuggestion();
+    inputManager.setValue(typed);
+    renderer.updateInputDisplay(suggestion, typed);
+    renderer.updateRomajiGuide(suggestion, typed.length);
+}
 
-    const lastCharIndex = typedText.length - 1;
-    const lastTypedChar = typedText[lastCharIndex];
-    const correctChar = state.currentPhrase.text[lastCharIndex];
+/**
+ * Scores a single keystroke and updates combo, stats and quests.
+ * @param {boolean} isCorrect - Whether the key matched the expected character.
+ * @param {object} keystroke - { expected, typed, previous } characters, recorded in the round's key
+ *   statistics. expected is undefined for keys typed past the end of the phrase.
+ */
+function scoreKeystroke(isCorrect, { expected, typed, previous }) {
+    if (state.status !== 'playing') return;
 
-    if (lastTypedChar === correctChar) {
+    const now = performance.now();
+    if (expected !== undefined) {
+        const latency = state.lastKeyTime ? now - state.lastKeyTime : null;
+        keyStats.record(state.keyStats, { expected, typed, latency, previous });
+    }
+    state.lastKeyTime = now;
+
+    if (isCorrect) {
         state.combo++;
-        const difficultyFactor = SCORING.difficultyFactor[state.difficulty] || 1;
-        const comboMultiplier = 1 + (state.combo * SCORING.comboMultiplier);
-        const charScore = SCORING.basePoint * difficultyFactor * comboMultiplier;
-        state.score += charScore;
+        state.maxCombo = Math.max(state.maxCombo, state.combo);
+        const points = scoring.scoreCharacter(state.scoringRules, state.combo);
+        Object.entries(points).forEach(([item, value]) => addPoints(item, value));
         state.totalCorrect++;
         audioManager.play('type');
     } else {
         state.combo = 0;
         state.misses++;
-        state.score -= SCORING.missPenalty;
+        state.roundMisses++;
+        addPoints('misses', -state.scoringRules.missPenalty);
         audioManager.play('miss');
     }
     state.totalTyped++;
+    roundTimeline.recordKey(state.timeline, getActiveTime(), isCorrect);
 
-    const questResult = questsManager.check('stat_update', { combo: state.combo });
+    const questResult = questsManager.check('stat_update', { ...getQuestStats(), correct: isCorrect });
     handleCompletedQuests(questResult);
 
     updateHUD();
+
+    if (!isCorrect && GAME_MODES[state.mode].endOnMiss) {
+        endGame();
+    }
 }
 
 /**
  * Handles the commit action (Enter key).
+ * @param {string} typedText - The current text in the input field.
+ * @returns {boolean | undefined} False if the phrase hasn't been typed yet.
  */
 function handleCommit(typedText) {
-    if (state.status !== 'playing') return;
+    if (state.status !== 'playing' || state.isPaused) return;
 
-    if (typedText === state.currentPhrase.text) {
+    const isPhraseTyped = state.romajiMatcher
+        ? state.romajiMatcher.isComplete()
+        : typedText === state.currentPhrase.text;
+
+    if (isPhraseTyped) {
         audioManager.play('success');
         
-        // Add time bonus
-        const timeBonus = Math.floor((state.timer / GAME_DURATION) * SCORING.timeBonusFactor);
-        state.score += timeBonus;
+        addPoints('timeBonus', getTimeBonus());
+        state.phrasesCompleted++;
 
-        const questResult = questsManager.check('phrase_complete', { misses: state.misses });
+        const questResult = questsManager.check('phrase_complete', {
+            ...getQuestStats(),
+            misses: state.misses,
+            length: state.currentPhrase.text.length,
+            seconds: (performance.now() - state.phraseStartTime) / 1000,
+        });
         handleCompletedQuests(questResult);
+        roundTimeline.recordPhrase(state.timeline, {
+            text: state.currentPhrase.text,
+            duration: performance.now() - state.phraseStartTime,
+            correct: state.totalCorrect - state.phraseCorrectStart,
+            misses: state.misses,
+            score: state.score - state.phraseScoreStart,
+        });
+
+        recordReplayInput();
+        replays.recordCommit(getActiveTime());
 
         // Render the user's successful input before getting the next phrase
-        renderer.renderUserMessage(typedText);
+        renderer.renderUserMessage(state.romajiMatcher ? state.currentPhrase.text : typedText, { code: state.isCode });
 
+        const { phraseTarget } = GAME_MODES[state.mode];
+        if (phraseTarget && state.phrasesCompleted >= phraseTarget) {
+            updateHUD();
+            endGame();
+            return true;
+        }
         nextPhrase();
     }
+    return isPhraseTyped;
 }
 
-function handleCompletedQuests(completedQuests) {
-    if (completedQuests.length > 0) {
-        completedQuests.forEach(q => {
-            state.score += q.reward.scoreBonus || 0;
-            audioManager.play('quest');
-        });
-        renderer.renderQuests(questsManager.getActiveQuests());
+/**
+ * Calculates the time bonus for a completed phrase (see scoring.getTimeBonus()).
+ * Timed mode rewards time left on the clock; other modes reward typing the phrase fast.
+ * @returns {number} The bonus points.
+ */
+function getTimeBonus() {
+    if (GAME_MODES[state.mode].countdown) {
+        return scoring.getTimeBonus(state.scoringRules, { fractionLeft: state.timer / state.timeLimit });
+    }
+    return scoring.getTimeBonus(state.scoringRules, {
+        keyCount: state.romajiMatcher ? state.romajiMatcher.getTyped().length : state.currentPhrase.text.length,
+        seconds: (performance.now() - state.phraseStartTime) / 1000,
+    });
+}
+
+/**
+ * Adds points to the score and to their item of the score breakdown.
+ * @param {string} item - A breakdown item, e.g. 'combo' or 'misses'.
+ * @param {number} points - The points to add (negative for penalties).
+ */
+function addPoints(item, points) {
+    state.score += points;
+    state.scoreBreakdown[item] += points;
+}
+
+/**
+ * Gets the stats every quest event carries (see questConditions.js).
+ * @param {number} [time] - The event's time, in milliseconds of active play.
+ * @returns {object}
+ */
+function getQuestStats(time = getActiveTime()) {
+    return {
+        difficulty: state.difficulty,
+        mode: state.mode,
+        score: Math.round(state.score),
+        combo: state.combo,
+        accuracy: state.totalTyped > 0 ? (state.totalCorrect / state.totalTyped) * 100 : 0,
+        phrasesCompleted: state.phrasesCompleted,
+        time,
+    };
+}
+
+/**
+ * Applies the rewards of newly completed quests and refreshes the quest list if any progress changed.
+ * @param {object} questResult - { completed, changed } from questsManager.check().
+ * @param {number} [time] - When they were completed, in milliseconds of active play.
+ */
+function handleCompletedQuests({ completed, changed }, time = getActiveTime()) {
+    completed.forEach(q => {
+        addPoints('quests', q.reward.scoreBonus || 0);
+        state.completedQuestIds.push(q.id);
+        roundTimeline.recordQuest(state.timeline, time, q.description);
+        audioManager.play('quest');
+        if (q.reward.badge) awardBadge(q);
+    });
+    // Progress can change without a quest completing, e.g. 3/5 phrases.
+    if (changed) renderer.renderQuests(questsManager.getActiveQuests());
+}
+
+/**
+ * Awards a quest's badge, recording the round stats at the moment it was earned.
+ * @param {object} quest - The completed quest.
+ */
+function awardBadge(quest) {
+    const isNew = badgeManager.award(quest.reward.badge, {
+        questId: quest.id,
+        stats: {
+            difficulty: state.difficulty,
+            score: Math.round(state.score),
+            combo: state.combo,
+            accuracy: state.totalTyped > 0 ? (state.totalCorrect / state.totalTyped) * 100 : 0,
+            elapsed: state.elapsed,
+        },
+    });
+    if (isNew) {
+        renderer.showToast(`Badge unlocked: ${quest.reward.badge}`);
     }
 }
 
 function updateHUD() {
+    const live = roundTimeline.getRolling(state.timeline, getActiveTime());
     renderer.updateHUD({
         timer: state.timer,
         score: Math.round(state.score),
+        phrases: GAME_MODES[state.mode].phraseTarget
+            ? `${state.phrasesCompleted}/${GAME_MODES[state.mode].phraseTarget}`
+            : state.phrasesCompleted,
         misses: state.misses,
         combo: state.combo,
+        liveWpm: live.wpm,
+        liveAccuracy: live.accuracy,
     });
+    if (state.race && state.status === 'playing') {
+        multiplayer.sendProgress({
+            score: Math.round(state.score),
+            phrases: state.phrasesCompleted,
+            progress: getRoundProgress(),
+        });
+    }
+}
+
+/**
+ * Gets how much of the round is done, for race progress bars.
+ * @returns {number | null} The fraction of the phrase target typed, or null in modes without one.
+ */
+function getRoundProgress() {
+    const { phraseTarget } = GAME_MODES[state.mode];
+    if (!phraseTarget) return null;
+    // Romaji input doesn't line up with the phrase text, so Japanese phrases count once completed.
+    const phraseLength = state.currentPhrase?.text.length || 0;
+    const typed = state.romajiMatcher || phraseLength === 0 ? 0 : Math.min(1, state.previousInput.length / phraseLength);
+    return Math.min(1, (state.phrasesCompleted + typed) / phraseTarget);
 }
 
 export const gameController = {
     init,
     startGame,
+    startRace,
+    startCampaignStage,
+    endRound,
+    pause,
+    resume,
+    togglePause,
+    setChallenge: (challenge) => { state.challenge = challenge; },
+    getChallenge: () => state.challenge,
     getLastGameResults: () => state.lastGameResults,
     focusInput: () => inputManager.focus(), // Expose inputManager's focus
 };
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * historyStats.js
+ *
+ * Filters and summarizes saved game results for the history screen.
+ */
+
+/**
+ * Filters results by difficulty and date range.
+ * @param {Array<object>} results - Saved game results.
+ * @param {object} filters
+ * @param {string} [filters.difficulty] - A difficulty, or 'all'.
+ * @param {string} [filters.from] - First day to include (YYYY-MM-DD, local time).
+ * @param {string} [filters.to] - Last day to include (YYYY-MM-DD, local time).
+ * @returns {Array<object>} The matching results, oldest first.
+ */
+function filter(results, { difficulty = 'all', from = '', to = '' } = {}) {
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+    return results
+        .filter(r => !difficulty || difficulty === 'all' || r.difficulty === difficulty)
+        .filter(r => r.timestamp >= fromTime && r.timestamp <= toTime)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Computes a trailing rolling average.
+ * @param {Array<number>} values - The values, oldest first.
+ * @param {number} windowSize - How many values to average.
+ * @returns {Array<number>} The average ending at each value.
+ */
+function rollingAverage(values, windowSize) {
+    return values.map((_, index) => {
+        const window = values.slice(Math.max(0, index - windowSize + 1), index + 1);
+        return window.reduce((sum, v) => sum + v, 0) / window.length;
+    });
+}
+
+/**
+ * Filters archived monthly aggregates the same way as filter() filters results.
+ * A month is included if any of its days falls inside the date range.
+ * @param {Array<object>} archive - Aggregates from storageManager.loadResultArchive().
+ * @param {object} filters - { difficulty, from, to } as for filter().
+ * @returns {Array<object>} The matching aggregates.
+ */
+function filterArchive(archive, { difficulty = 'all', from = '', to = '' } = {}) {
+    return archive
+        .filter(a => !difficulty || difficulty === 'all' || a.difficulty === difficulty)
+        .filter(a => (!from || a.period >= from.slice(0, 7)) && (!to || a.period <= to.slice(0, 7)));
+}
+
+/**
+ * Computes personal bests per difficulty.
+ * Results saved before difficulty was recorded are grouped under 'unknown'.
+ * @param {Array<object>} results - Saved game results.
+ * @param {Array<object>} [archive] - Archived aggregates of older results.
+ * @returns {Array<object>} [{ difficulty, games, score, wpm, accuracy, maxCombo }]
+ */
+function personalBests(results, archive = []) {
+    const groups = {};
+    const asResults = archive.map(a => ({
+        difficulty: a.difficulty,
+        games: a.games,
+        score: a.bestScore,
+        wpm: a.bestWpm,
+        accuracy: a.bestAccuracy,
+        maxCombo: a.maxCombo,
+    }));
+    [...results, ...asResults].forEach(r => {
+        const difficulty = r.difficulty || 'unknown';
+        const best = groups[difficulty] || { difficulty, games: 0, score: 0, wpm: 0, accuracy: 0, maxCombo: 0 };
+        groups[difficulty] = {
+            difficulty,
+            games: best.games + (r.games || 1),
+            score: Math.max(best.score, r.score || 0),
+            wpm: Math.max(best.wpm, r.wpm || 0),
+            accuracy: Math.max(best.accuracy, r.accuracy || 0),
+            maxCombo: Math.max(best.maxCombo, r.maxCombo || 0),
+        };
+    });
+
+    const order = ['easy', 'normal', 'hard', 'lunatic', 'unknown'];
+    return Object.values(groups).sort((a, b) => order.indexOf(a.difficulty) - order.indexOf(b.difficulty));
+}
+
+export const historyStats = {
+    filter,
+    filterArchive,
+    rollingAverage,
+    personalBests,
+};
@@ -8,32 +8,55 @@
 
 const hiddenInput = document.getElementById('hidden-input');
 let isComposing = false; // Tracks IME composition status
+let isMultiline = false; // Code snippets: Enter types a newline and Tab inserts indentation
+let handleInput = null;
 
 /**
  * Initializes the input manager by attaching event listeners.
- * @param {function} onInput - Callback for when input is received.
+ * @param {function} onInput - Callback for when input is received. Called with the current
+ *   value and { pasted } telling whether the change came from a paste or drop.
  * @param {function} onCommit - Callback for when a full phrase is submitted (e.g., by Enter).
+ *   Returns false if the phrase isn't finished, in which case multi-line input types a newline instead.
+ * @param {function} [onPaste] - Called before text is pasted or dropped; return false to block it.
+ * @param {function} [onTab] - Multi-line input only: called with the current value when Tab is
+ *   pressed, returns the text to insert.
  */
-function init(onInput, onCommit) {
+function init(onInput, onCommit, onPaste, onTab) {
     if (!hiddenInput) {
         console.error("Fatal: Hidden input field not found.");
         return;
     }
+    handleInput = onInput;
 
     // Fires for every change, including individual characters and IME composition results.
     hiddenInput.addEventListener('input', (event) => {
         // If an IME is active, we wait for it to 'commit' the final characters.
         // Otherwise, we process the input directly.
         if (!isComposing) {
-            onInput(event.target.value);
+            const pasted = event.inputType === 'insertFromPaste' || event.inputType === 'insertFromDrop';
+            onInput(event.target.value, { pasted });
         }
     });
 
-    // Fires when the user presses Enter.
+    // Fires before text is pasted or dropped into the field.
+    const handlePaste = (event) => {
+        if (onPaste && onPaste() === false) {
+            event.preventDefault();
+        }
+    };
+    hiddenInput.addEventListener('paste', handlePaste);
+    hiddenInput.addEventListener('drop', handlePaste);
+
+    // Fires when the user presses Enter (or Tab in multi-line mode).
     hiddenInput.addEventListener('keydown', (event) => {
         if (event.key === 'Enter') {
             event.preventDefault();
-            onCommit(hiddenInput.value);
+            if (onCommit(hiddenInput.value) === false && isMultiline) {
+                insertText('\n');
+            }
+        } else if (event.key === 'Tab' && isMultiline) {
+            event.preventDefault();
+            insertText(onTab ? onTab(hiddenInput.value) : '\t');
         }
     });
 
@@ -47,12 +70,31 @@ function init(onInput, onCommit) {
     // Fires when the composition session ends (e.g., user hits Enter to confirm Japanese text).
     hiddenInput.addEventListener('compositionend', (event) => {
         isComposing = false;
-        // After composition ends, an 'input' event will fire with the resulting text.
-        // We trigger the onInput callback here to ensure the final text is processed immediately.
-        onInput(event.target.value);
+        // After composition ends, an 'input' event may also fire with the resulting text.
+        // We trigger the onInput callback here to ensure the final text is processed immediately;
+        // the game controller ignores the duplicate because the value has not changed.
+        onInput(event.target.value, { pasted: false });
     });
 }
 
+/**
+ * Appends text as if it were typed and reports the change.
+ * @param {string} text - The text to insert.
+ */
+function insertText(text) {
+    hiddenInput.value += text;
+    handleInput(hiddenInput.value, { pasted: false });
+}
+
+/**
+ * Switches between single-line input (Enter submits) and multi-line input for
+ * code snippets (Enter submits a finished snippet, otherwise types a newline).
+ * @param {boolean} enabled - Whether input is multi-line.
+ */
+function setMultiline(enabled) {
+    isMultiline = enabled;
+}
+
 /**
  * Gets the current value of the hidden input.
  * @returns {string} The current input text.
@@ -61,6 +103,14 @@ function getValue() {
     return hiddenInput.value;
 }
 
+/**
+ * Sets the value of the hidden input.
+ * @param {string} value - The new input text.
+ */
+function setValue(value) {
+    hiddenInput.value = value;
+}
+
 /**
  * Clears the hidden input field.
  */
@@ -78,6 +128,8 @@ function focus() {
 export const inputManager = {
     init,
     getValue,
+    setValue,
+    setMultiline,
     clear,
     focus,
 };
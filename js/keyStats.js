@@ -0,0 +1,161 @@
+/**
+ * keyStats.js
+ *
+ * Records every keystroke (expected character, typed character, latency) and
+ * aggregates them into per-key and per-bigram error rates, typing speed and
+ * confused pairs for the keyboard heatmap and weak-key training.
+ */
+
+// Shifted characters and the key that types them on a US layout.
+const SHIFTED_KEYS = {
+    '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6', '&': '7', '*': '8', '(': '9', ')': '0',
+    '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\', ':': ';', '"': "'", '<': ',', '>': '.', '?': '/', '~': '`',
+};
+
+const SLOW_KEY_SETTINGS = {
+    minTimedPresses: 3, // Keys pressed fewer times aren't judged
+    factor: 1.5,        // Slower than this multiple of the median key is "slow"
+};
+
+/**
+ * Creates empty statistics.
+ * @returns {object} { keys: { [char]: counts }, bigrams: { [previous + char]: counts },
+ *   confusions: { [expected]: { [typed]: count } } } with counts { presses, misses, latencyTotal, timedPresses }.
+ */
+function createEmpty() {
+    return { keys: {}, bigrams: {}, confusions: {} };
+}
+
+/**
+ * Adds one keystroke to a counts entry, creating it if needed.
+ */
+function count(table, id, isMiss, latency) {
+    const entry = table[id] || (table[id] = { presses: 0, misses: 0, latencyTotal: 0, timedPresses: 0 });
+    entry.presses++;
+    if (isMiss) entry.misses++;
+    if (latency !== null) {
+        entry.latencyTotal += latency;
+        entry.timedPresses++;
+    }
+}
+
+/**
+ * Adds one counts table to another.
+ */
+function addCounts(into, from) {
+    Object.entries(from || {}).forEach(([id, entry]) => {
+        const total = into[id] || (into[id] = { presses: 0, misses: 0, latencyTotal: 0, timedPresses: 0 });
+        total.presses += entry.presses;
+        total.misses += entry.misses;
+        total.latencyTotal += entry.latencyTotal;
+        total.timedPresses += entry.timedPresses;
+    });
+}
+
+/**
+ * Records one keystroke.
+ * @param {object} stats - Statistics to add to (modified in place).
+ * @param {object} keystroke
+ * @param {string} keystroke.expected - The character that should have been typed.
+ * @param {string} keystroke.typed - The character that was typed.
+ * @param {number | null} keystroke.latency - Milliseconds since the previous key, or null for the first key of a phrase.
+ * @param {string} [keystroke.previous] - The character before the expected one, if any, for bigram statistics.
+ */
+function record(stats, { expected, typed, latency, previous }) {
+    const isMiss = typed !== expected;
+    count(stats.keys, expected, isMiss, latency);
+    if (previous) {
+        count(stats.bigrams || (stats.bigrams = {}), previous + expected, isMiss, latency);
+    }
+    if (isMiss) {
+        const confusions = stats.confusions[expected] || (stats.confusions[expected] = {});
+        confusions[typed] = (confusions[typed] || 0) + 1;
+    }
+}
+
+/**
+ * Adds one set of statistics to another.
+ * @param {object | null} total - The running totals, e.g. from storage.
+ * @param {object} round - The statistics to add.
+ * @returns {object} New combined statistics.
+ */
+function merge(total, round) {
+    const merged = { ...createEmpty(), ...structuredClone(total || {}) };
+    addCounts(merged.keys, round.keys);
+    addCounts(merged.bigrams, round.bigrams);
+    Object.entries(round.confusions).forEach(([expected, typedCounts]) => {
+        const into = merged.confusions[expected] || (merged.confusions[expected] = {});
+        Object.entries(typedCounts).forEach(([typed, count]) => {
+            into[typed] = (into[typed] || 0) + count;
+        });
+    });
+    return merged;
+}
+
+/**
+ * Gets the physical key that types a character (e.g. 'A' and 'a' -> 'a', '?' -> '/').
+ * @param {string} char - The character.
+ * @returns {string} The key: a lowercase character, 'space', 'enter', 'tab', or the character itself.
+ */
+function keyFor(char) {
+    if (char === ' ') return 'space';
+    if (char === '\n') return 'enter';
+    if (char === '\t') return 'tab';
+    return SHIFTED_KEYS[char] || char.toLowerCase();
+}
+
+/**
+ * Summarizes statistics per physical key.
+ * @param {object} stats - Recorded statistics.
+ * @returns {object} { [key]: { presses, misses, errorRate, avgLatency, slow } }, where avgLatency
+ *   is in milliseconds (null if unknown) and slow marks keys well behind the median key.
+ */
+function summarizeKeys(stats) {
+    const totals = {};
+    Object.entries(stats?.keys || {}).forEach(([char, key]) => addCounts(totals, { [keyFor(char)]: key }));
+
+    const summary = {};
+    Object.entries(totals).forEach(([id, total]) => {
+        summary[id] = {
+            presses: total.presses,
+            misses: total.misses,
+            errorRate: total.presses > 0 ? total.misses / total.presses : 0,
+            avgLatency: total.timedPresses > 0 ? total.latencyTotal / total.timedPresses : null,
+            slow: false,
+        };
+    });
+
+    const judged = Object.entries(totals)
+        .filter(([, total]) => total.timedPresses >= SLOW_KEY_SETTINGS.minTimedPresses)
+        .map(([id]) => id);
+    const latencies = judged.map(id => summary[id].avgLatency).sort((a, b) => a - b);
+    if (latencies.length > 0) {
+        const median = latencies[Math.floor(latencies.length / 2)];
+        judged.forEach(id => {
+            summary[id].slow = summary[id].avgLatency > median * SLOW_KEY_SETTINGS.factor;
+        });
+    }
+    return summary;
+}
+
+/**
+ * Lists the most common mistakes.
+ * @param {object} stats - Recorded statistics.
+ * @param {number} [limit=5] - How many pairs to return.
+ * @returns {Array<object>} [{ expected, typed, count }], most frequent first.
+ */
+function topConfusions(stats, limit = 5) {
+    return Object.entries(stats?.confusions || {})
+        .flatMap(([expected, typedCounts]) => Object.entries(typedCounts).map(([typed, count]) => ({ expected, typed, count })))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+}
+
+export const keyStats = {
+    createEmpty,
+    record,
+    merge,
+    keyFor,
+    summarizeKeys,
+    topConfusions,
+};
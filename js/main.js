@@ -9,39 +9,172 @@ import { gameController } from './gameController.js';
 import { audioManager } from './audioManager.js';
 import { questsManager } from './questsManager.js';
 import { renderer } from './renderer.js';
+import { storageManager } from './storageManager.js';
+import { badgeManager } from './badgeManager.js';
+import { historyStats } from './historyStats.js';
+import { progressTransfer } from './progressTransfer.js';
+import { phrasePacks } from './phrasePacks.js';
+import { keyStats } from './keyStats.js';
+import { weakKeyTrainer } from './weakKeyTrainer.js';
+import { replays } from './replays.js';
+import { replayViewer } from './replayViewer.js';
+import { challengeCodes } from './challengeCodes.js';
+import { multiplayer } from './multiplayer.js';
+import { share } from './share.js';
+import { campaign } from './campaign.js';
+import { profiles } from './profiles.js';
+
+const ROLLING_AVERAGE_WINDOW = 5; // Games per rolling average on the history chart
 
 const startButton = document.getElementById('start-button');
 const playAgainButton = document.getElementById('play-again-button');
 const settingsButton = document.getElementById('settings-button');
 const muteButton = document.getElementById('mute-button');
+const volumeSlider = document.getElementById('volume-slider');
 const themeToggleButton = document.getElementById('theme-toggle-button');
-const shareTwitterButton = document.getElementById('share-twitter-button');
+const shareButton = document.getElementById('share-button');
+const shareNativeButton = document.getElementById('share-native-button');
+const shareDownloadButton = document.getElementById('share-download-button');
+const shareCopyImageButton = document.getElementById('share-copy-image-button');
+const shareTargetList = document.getElementById('share-target-list');
+const closeShareButton = document.getElementById('close-share-button');
+const resumeButton = document.getElementById('resume-button');
+const quitRoundButton = document.getElementById('quit-round-button');
 const historyButton = document.getElementById('history-button');
 const closeHistoryButton = document.getElementById('close-history-button');
+const historyFilters = ['history-difficulty-filter', 'history-from-filter', 'history-to-filter']
+    .map(id => document.getElementById(id));
+const badgesButton = document.getElementById('badges-button');
+const closeBadgesButton = document.getElementById('close-badges-button');
+const endRoundButton = document.getElementById('end-round-button');
+const exportButton = document.getElementById('export-button');
+const exportCsvButton = document.getElementById('export-csv-button');
+const importButton = document.getElementById('import-button');
+const importFileInput = document.getElementById('import-file-input');
+const importMergeButton = document.getElementById('import-merge-button');
+const importReplaceButton = document.getElementById('import-replace-button');
+const importCancelButton = document.getElementById('import-cancel-button');
+const packSelect = document.getElementById('pack-select');
+const watchReplayButton = document.getElementById('watch-replay-button');
+const replayList = document.getElementById('replay-list');
+const replayPlayButton = document.getElementById('replay-play-button');
+const replaySeek = document.getElementById('replay-seek');
+const closeReplayButton = document.getElementById('close-replay-button');
+const packsButton = document.getElementById('packs-button');
+const closePackEditorButton = document.getElementById('close-pack-editor-button');
+const customPackList = document.getElementById('custom-pack-list');
+const packUploadButton = document.getElementById('pack-upload-button');
+const packFileInput = document.getElementById('pack-file-input');
+const packCheckButton = document.getElementById('pack-check-button');
+const packSaveButton = document.getElementById('pack-save-button');
+const packNewButton = document.getElementById('pack-new-button');
+const modeSelect = document.getElementById('mode-select');
+const difficultySelect = document.getElementById('difficulty-select');
+const challengeInput = document.getElementById('challenge-input');
+const joinChallengeButton = document.getElementById('join-challenge-button');
+const clearChallengeButton = document.getElementById('clear-challenge-button');
+const copyChallengeButton = document.getElementById('copy-challenge-button');
+const timeLimitSelect = document.getElementById('time-limit-select');
+const raceNameInput = document.getElementById('race-name-input');
+const raceServerInput = document.getElementById('race-server-input');
+const raceRoomInput = document.getElementById('race-room-input');
+const raceCreateButton = document.getElementById('race-create-button');
+const raceJoinButton = document.getElementById('race-join-button');
+const raceStartButton = document.getElementById('race-start-button');
+const raceLeaveButton = document.getElementById('race-leave-button');
+const raceAgainButton = document.getElementById('race-again-button');
+const campaignButton = document.getElementById('campaign-button');
+const closeCampaignButton = document.getElementById('close-campaign-button');
+const campaignMap = document.getElementById('campaign-map');
+const campaignMapButton = document.getElementById('campaign-map-button');
+const mainMenuButton = document.getElementById('main-menu-button');
+const profileSelect = document.getElementById('profile-select');
+const profilesButton = document.getElementById('profiles-button');
+const closeProfilesButton = document.getElementById('close-profiles-button');
+const profileList = document.getElementById('profile-list');
+const profileNameInput = document.getElementById('profile-name-input');
+const profileCreateButton = document.getElementById('profile-create-button');
+const leaderboardFilter = document.getElementById('leaderboard-difficulty-filter');
 
-if (!startButton || !playAgainButton || !settingsButton || !muteButton || !themeToggleButton || !shareTwitterButton || !historyButton || !closeHistoryButton) {
+if (!startButton || !playAgainButton || !settingsButton || !muteButton || !volumeSlider || !themeToggleButton || !shareButton || !historyButton || !closeHistoryButton || !badgesButton || !closeBadgesButton || !endRoundButton || !modeSelect
+    || !exportButton || !exportCsvButton || !importButton || !importFileInput
+    || !importMergeButton || !importReplaceButton || !importCancelButton
+    || !packSelect || !packsButton || !closePackEditorButton || !customPackList || !packUploadButton
+    || !packFileInput || !packCheckButton || !packSaveButton || !packNewButton
+    || !watchReplayButton || !replayList || !replayPlayButton || !replaySeek || !closeReplayButton
+    || !challengeInput || !joinChallengeButton || !clearChallengeButton || !copyChallengeButton
+    || !timeLimitSelect || !raceNameInput || !raceServerInput || !raceRoomInput || !raceCreateButton
+    || !raceJoinButton || !raceStartButton || !raceLeaveButton || !raceAgainButton
+    || !shareNativeButton || !shareDownloadButton || !shareCopyImageButton || !shareTargetList || !closeShareButton
+    || !resumeButton || !quitRoundButton
+    || !campaignButton || !closeCampaignButton || !campaignMap || !campaignMapButton || !mainMenuButton
+    || !profileSelect || !profilesButton || !closeProfilesButton || !profileList || !profileNameInput
+    || !profileCreateButton || !leaderboardFilter) {
     console.error("Fatal: One or more UI buttons not found!");
 } else {
+    // Surface persistence problems (full or corrupt storage) to the player.
+    storageManager.onError(message => renderer.showToast(message, 8000, 'error'));
+
     // Initialize modules that need to fetch data.
     Promise.all([
         questsManager.init(),
         gameController.init(),
     ]).then(() => {
+        applyProfileSettings();
+        const linkedChallenge = challengeCodes.readFromQuery(window.location.search);
+        if (linkedChallenge) joinChallenge(linkedChallenge);
         console.log("Game initialized and ready.");
-        // renderer.updateMuteButtonText(audioManager.isMuted()); // Set initial mute button text
     }).catch(error => {
         console.error("An error occurred during initialization:", error);
     });
 
     const handleStartGame = async () => {
         try {
-            // await audioManager.init(); // Audio context requires user interaction.
+            await audioManager.init(); // Audio context requires user interaction.
             gameController.startGame();
         } catch (error) {
             console.error("Error starting the game:", error);
         }
     };
 
+    // Campaign: difficulties and packs stay locked until the chapter unlocking them is complete.
+    // Challenges and races bring their own settings, so they aren't held back by the locks.
+    const applyContentLocks = () => {
+        renderer.renderContentLocks(campaign.getLocks());
+        renderer.toggleIndentOption(phrasePacks.getPack(packSelect.value)?.kind === 'code');
+    };
+    const showCampaignMap = () => {
+        const packNames = Object.fromEntries(phrasePacks.getPacks().map(pack => [pack.id, pack.name]));
+        renderer.renderCampaignMap(campaign.getMap(), packNames);
+        renderer.showCampaignScreen();
+    };
+    campaignButton.addEventListener('click', showCampaignMap);
+    campaignMapButton.addEventListener('click', showCampaignMap); // Opens over the results
+    closeCampaignButton.addEventListener('click', () => {
+        renderer.hideCampaignScreen();
+    });
+    campaignMap.addEventListener('click', async (event) => {
+        const stageId = event.target.dataset?.stageId;
+        if (!stageId) return;
+        try {
+            await audioManager.init();
+            if (!gameController.startCampaignStage(stageId)) {
+                renderer.showToast('That stage is still locked.', 5000, 'error');
+                return;
+            }
+            renderer.hideCampaignScreen();
+            renderer.hideResults();
+        } catch (error) {
+            console.error("Error starting the campaign stage:", error);
+        }
+    });
+
+    // Listener for the main menu button on the results screen, e.g. to hand over to another profile
+    mainMenuButton.addEventListener('click', () => {
+        renderer.hideResults();
+        renderer.toggleStartScreen(true);
+    });
+
     // Listener for the main start button
     startButton.addEventListener('click', handleStartGame);
 
@@ -51,6 +184,29 @@ if (!startButton || !playAgainButton || !settingsButton || !muteButton || !theme
         handleStartGame();
     });
 
+    // Listener for the end round button (zen mode)
+    endRoundButton.addEventListener('click', () => {
+        gameController.endRound();
+    });
+
+    // Pausing: Escape toggles the pause; hiding the tab or leaving the window pauses automatically
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') gameController.togglePause();
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') gameController.pause('The game tab was hidden.');
+    });
+    window.addEventListener('blur', () => {
+        gameController.pause('The game window lost focus.');
+    });
+    resumeButton.addEventListener('click', () => gameController.resume());
+    quitRoundButton.addEventListener('click', () => gameController.endRound());
+
+    // Listener for the mode select: the time limit only applies to timed rounds
+    modeSelect.addEventListener('change', () => {
+        renderer.toggleTimeLimitOption(modeSelect.value === 'timed');
+    });
+
     // Listener for the settings button
     settingsButton.addEventListener('click', () => {
         // Toggle settings panel visibility
@@ -64,47 +220,472 @@ if (!startButton || !playAgainButton || !settingsButton || !muteButton || !theme
         renderer.updateMuteButtonText(audioManager.isMuted());
     });
 
+    // Listener for the master volume slider
+    volumeSlider.addEventListener('input', () => {
+        audioManager.setVolume(volumeSlider.value / 100);
+    });
+
     let isLightTheme = false; // Default to dark theme
-    // Listener for the theme toggle button
-    themeToggleButton.addEventListener('click', () => {
-        isLightTheme = !isLightTheme;
+    const applyTheme = (light) => {
+        isLightTheme = light;
         renderer.toggleTheme(isLightTheme);
         themeToggleButton.textContent = isLightTheme ? 'Dark Theme' : 'Light Theme';
+    };
+    // Listener for the theme toggle button
+    themeToggleButton.addEventListener('click', () => {
+        applyTheme(!isLightTheme);
+        storageManager.saveSettings({ theme: isLightTheme ? 'light' : 'dark' });
     });
 
-    // Listener for the Twitter share button
-    shareTwitterButton.addEventListener('click', () => {
-        const lastResults = gameController.getLastGameResults(); // Assuming gameController provides this
-        if (lastResults) {
-            renderer.shareOnTwitter(lastResults);
-        } else {
+    // Sharing: the share screen shows the result card and the share targets defined in share.js
+    let shareCard = null;
+    shareButton.addEventListener('click', () => {
+        const lastResults = gameController.getLastGameResults();
+        if (!lastResults) {
             console.warn("No game results to share.");
+            return;
         }
+        const badges = questsManager.getAllQuests()
+            .filter(q => lastResults.questsCompleted.includes(q.id) && q.reward?.badge)
+            .map(q => q.reward.badge);
+        shareCard = share.renderCard(lastResults, {
+            packName: phrasePacks.getPack(lastResults.pack)?.name,
+            badges,
+            wpmHistory: storageManager.loadGameResults().map(r => r.wpm),
+        });
+        renderer.showShareScreen({ card: shareCard, targets: share.getTargets(), canShareNatively: share.canShareNatively() });
+    });
+    // Runs a share action, showing its confirmation or error as a toast
+    const runShareAction = async (action) => {
+        try {
+            const message = await action();
+            if (message) renderer.showToast(message);
+        } catch (error) {
+            console.error("Sharing failed:", error);
+            renderer.showToast(error.message, 5000, 'error');
+        }
+    };
+    shareNativeButton.addEventListener('click', () => {
+        runShareAction(() => share.shareNatively(gameController.getLastGameResults(), shareCard));
+    });
+    shareDownloadButton.addEventListener('click', () => runShareAction(async () => {
+        renderer.downloadFile(`ancienttech-result-${exportDate()}.png`, await share.toBlob(shareCard), 'image/png');
+    }));
+    shareCopyImageButton.addEventListener('click', () => runShareAction(async () => {
+        await share.copyCard(shareCard);
+        return 'Result card copied.';
+    }));
+    shareTargetList.addEventListener('click', (event) => {
+        const targetId = event.target.dataset?.shareTarget;
+        if (!targetId) return;
+        runShareAction(() => share.shareTo(targetId, gameController.getLastGameResults(), {
+            instance: renderer.getShareInstance(targetId),
+        }));
+    });
+    closeShareButton.addEventListener('click', () => {
+        renderer.hideShareScreen();
     });
 
+    // Renders the history chart and personal bests for the current filters
+    const refreshHistory = () => {
+        const filters = renderer.getHistoryFilters();
+        const results = historyStats.filter(storageManager.loadGameResults(), filters);
+        const archive = historyStats.filterArchive(storageManager.loadResultArchive(), filters);
+        renderer.renderHistoricalChart(results, {
+            wpm: historyStats.rollingAverage(results.map(r => r.wpm), ROLLING_AVERAGE_WINDOW),
+            accuracy: historyStats.rollingAverage(results.map(r => r.accuracy), ROLLING_AVERAGE_WINDOW),
+        });
+        renderer.renderPersonalBests(historyStats.personalBests(results, archive));
+        const allKeyStats = storageManager.loadKeyStats();
+        renderer.renderKeyAnalysis('history', {
+            keys: keyStats.summarizeKeys(allKeyStats),
+            confusions: keyStats.topConfusions(allKeyStats),
+        });
+        renderer.renderTrainingProgress(weakKeyTrainer.summarizeProgress(storageManager.loadTrainingProgress()));
+        renderer.renderReplayList(replays.list());
+    };
+
     // Listener for the history button
     historyButton.addEventListener('click', () => {
-        const historicalResults = storageManager.loadGameResults();
-        renderer.renderHistoricalChart(historicalResults);
+        refreshHistory();
         renderer.showHistoryScreen();
     });
 
+    // Listeners for the history filters
+    historyFilters.forEach(filter => filter?.addEventListener('change', refreshHistory));
+
     // Listener for the close history button
     closeHistoryButton.addEventListener('click', () => {
         renderer.hideHistoryScreen();
     });
 
-    // Also allow starting the game by pressing Enter on the start screen
+    // Listener for the badges button
+    badgesButton.addEventListener('click', () => {
+        renderer.renderBadgeGallery(badgeManager.getGallery());
+        renderer.showBadgeScreen();
+    });
+
+    // Listener for the close badges button
+    closeBadgesButton.addEventListener('click', () => {
+        renderer.hideBadgeScreen();
+    });
+
+    // Listeners for exporting progress
+    const exportDate = () => new Date().toISOString().slice(0, 10);
+    exportButton.addEventListener('click', () => {
+        renderer.downloadFile(`ancienttech-progress-${exportDate()}.json`, progressTransfer.buildExport(), 'application/json');
+    });
+    exportCsvButton.addEventListener('click', () => {
+        const csv = progressTransfer.buildResultsCsv(storageManager.loadGameResults());
+        renderer.downloadFile(`ancienttech-results-${exportDate()}.csv`, csv, 'text/csv');
+    });
+
+    // Listeners for importing progress: pick a file, preview it, then merge or replace
+    let pendingImport = null;
+    importButton.addEventListener('click', () => {
+        importFileInput.value = '';
+        importFileInput.click();
+    });
+    importFileInput.addEventListener('change', async () => {
+        const file = importFileInput.files[0];
+        importFileInput.value = ''; // Picking the same file again fires another change
+        if (!file) return;
+        try {
+            const { data, errors } = progressTransfer.parseImport(await file.text());
+            pendingImport = data;
+            renderer.showImportPreview(data && progressTransfer.previewImport(data), errors);
+        } catch (error) {
+            console.error("Failed to read the import file:", error);
+            pendingImport = null;
+            renderer.showToast(`Couldn't read ${file.name}.`, 5000, 'error');
+        }
+    });
+    const finishImport = (apply) => {
+        if (pendingImport && apply(pendingImport)) {
+            renderer.showToast('Progress imported.');
+            refreshPackLists(); // Imported custom packs
+            applyProfileSettings(); // Imported theme, sound and selections
+        }
+        pendingImport = null;
+        renderer.hideImportScreen();
+    };
+    importMergeButton.addEventListener('click', () => finishImport(progressTransfer.mergeImport));
+    importReplaceButton.addEventListener('click', () => finishImport(progressTransfer.replaceWithImport));
+    importCancelButton.addEventListener('click', () => {
+        pendingImport = null;
+        renderer.hideImportScreen();
+    });
+
+    // Replays: watch the last round from the results screen, or any saved replay from the history screen
+    watchReplayButton.addEventListener('click', () => {
+        const replay = replays.get(gameController.getLastGameResults()?.replayId);
+        if (replay) replayViewer.open(replay);
+    });
+    replayList.addEventListener('click', (event) => {
+        const replay = replays.get(Number(event.target.dataset?.replayId));
+        if (replay) replayViewer.open(replay);
+    });
+    replayPlayButton.addEventListener('click', () => replayViewer.togglePlay());
+    replaySeek.addEventListener('input', () => replayViewer.seek(Number(replaySeek.value)));
+    closeReplayButton.addEventListener('click', () => replayViewer.close());
+
+    // Listener for the pack picker: remember the choice; indentation only applies to code packs
+    packSelect.addEventListener('change', () => {
+        storageManager.saveSettings({ packId: packSelect.value });
+        renderer.toggleIndentOption(phrasePacks.getPack(packSelect.value)?.kind === 'code');
+    });
+
+    // Challenges: a code (typed in, or from a ?challenge= link) fixes the settings and seed of every round until cleared
+    const joinChallenge = (code) => {
+        const challenge = challengeCodes.decode(code);
+        const pack = challenge && phrasePacks.getPack(challenge.pack);
+        if (!challenge || !pack?.builtIn) {
+            renderer.showToast(challenge
+                ? `This challenge uses a phrase pack that isn't available: ${challenge.pack}`
+                : `Invalid challenge code: ${code}`, 5000, 'error');
+            return;
+        }
+        gameController.setChallenge(challenge);
+        packSelect.value = pack.id;
+        modeSelect.value = challenge.mode;
+        difficultySelect.value = challenge.difficulty;
+        renderer.toggleTimeLimitOption(false);
+        renderer.toggleIndentOption(pack.kind === 'code');
+        const mode = challenge.mode.replace('_', ' ').toUpperCase() + (challenge.timeLimit ? ` ${challenge.timeLimit}s` : '');
+        renderer.showChallengeBanner(`Challenge ${challenge.code}: ${pack.name} · ${mode} · ${challenge.difficulty.toUpperCase()}`);
+    };
+    joinChallengeButton.addEventListener('click', () => {
+        if (challengeInput.value.trim()) joinChallenge(challengeInput.value);
+    });
+    challengeInput.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter') return;
+        event.stopPropagation(); // Join the challenge instead of starting a normal round
+        joinChallengeButton.click();
+    });
+    clearChallengeButton.addEventListener('click', () => {
+        gameController.setChallenge(null);
+        renderer.showChallengeBanner(null);
+        applyContentLocks(); // The challenge may have picked content the campaign still locks
+        renderer.toggleTimeLimitOption(modeSelect.value === 'timed');
+        challengeInput.value = '';
+        // Drop the code from the address so reloading doesn't join the challenge again.
+        window.history.replaceState(null, '', window.location.pathname);
+    });
+    copyChallengeButton.addEventListener('click', async () => {
+        const code = gameController.getLastGameResults()?.challengeCode;
+        if (!code) return;
+        try {
+            await navigator.clipboard.writeText(challengeCodes.buildLink(code));
+            renderer.showToast('Challenge link copied.');
+        } catch (error) {
+            console.error("Failed to copy the challenge link:", error);
+            renderer.showToast(`Couldn't copy the link. Challenge code: ${code}`, 8000, 'error');
+        }
+    });
+
+    // LAN races: connect to the race server, create or join a room; the host starts races with the start screen settings
+    raceServerInput.placeholder = `Race server (${multiplayer.getDefaultAddress() || 'host:port'})`;
+
+    const connectToRace = async (roomCode) => {
+        const address = raceServerInput.value.trim() || multiplayer.getDefaultAddress();
+        const name = raceNameInput.value.trim();
+        storageManager.saveSettings({ raceName: name, raceServer: raceServerInput.value.trim() });
+        try {
+            await multiplayer.connect(address, { name, roomCode });
+        } catch (error) {
+            console.error("Failed to connect to the race server:", error);
+            renderer.showToast(`Couldn't reach a race server at ${address}. Start one with: node server/raceServer.mjs`, 8000, 'error');
+        }
+    };
+    const requestRace = () => {
+        const pack = phrasePacks.getPack(packSelect.value);
+        if (!pack?.builtIn) {
+            renderer.showToast('Races need a built-in phrase pack, since custom packs only exist on your machine.', 5000, 'error');
+            return;
+        }
+        multiplayer.startRace({
+            mode: modeSelect.value,
+            difficulty: difficultySelect.value,
+            timeLimit: Number(timeLimitSelect.value),
+            pack: pack.id,
+        });
+    };
+    const startRaceRound = async (race) => {
+        try {
+            await audioManager.init();
+            gameController.startRace(race);
+            const room = multiplayer.getRoom();
+            if (room) renderer.renderRaceProgress(room.players, room.playerId);
+        } catch (error) {
+            console.error("Error starting the race:", error);
+            multiplayer.withdraw();
+            renderer.showToast('The race could not be started on this machine.', 5000, 'error');
+        }
+    };
+
+    multiplayer.setHandlers({
+        onRoom: room => renderer.renderRaceRoom(room),
+        onCountdown: ({ seconds, race }) => {
+            if (!phrasePacks.getPack(race.pack)?.builtIn) {
+                renderer.showToast(`The race uses a phrase pack this game doesn't have: ${race.pack}`, 8000, 'error');
+                multiplayer.withdraw();
+                return;
+            }
+            renderer.hideResults();
+            replayViewer.close();
+            let remaining = seconds;
+            renderer.showCountdown(remaining);
+            const countdownId = setInterval(() => {
+                remaining--;
+                if (remaining > 0) {
+                    renderer.showCountdown(remaining);
+                    return;
+                }
+                clearInterval(countdownId);
+                renderer.showCountdown(null);
+                startRaceRound(race);
+            }, 1000);
+        },
+        onProgress: players => renderer.renderRaceProgress(players, multiplayer.getRoom()?.playerId),
+        onRanking: (rankings, final) => renderer.renderRaceRanking(rankings, {
+            final,
+            playerId: multiplayer.getRoom()?.playerId,
+            isHost: multiplayer.isHost(),
+        }),
+        onError: message => renderer.showToast(message, 5000, 'error'),
+        onDisconnect: () => {
+            renderer.renderRaceRoom(null);
+            renderer.showToast('Disconnected from the race server.', 5000, 'error');
+        },
+    });
+    raceCreateButton.addEventListener('click', () => connectToRace(null));
+    raceJoinButton.addEventListener('click', () => {
+        if (raceRoomInput.value.trim()) connectToRace(raceRoomInput.value.trim().toUpperCase());
+    });
+    [raceNameInput, raceRoomInput].forEach(input => input.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter') return;
+        event.stopPropagation(); // Join the room instead of starting a solo round
+        raceJoinButton.click();
+    }));
+    raceStartButton.addEventListener('click', requestRace);
+    raceAgainButton.addEventListener('click', requestRace);
+    raceLeaveButton.addEventListener('click', () => {
+        multiplayer.leave();
+        renderer.renderRaceRoom(null);
+    });
+
+    // Pack editor: paste or upload phrases, check them, then save as a custom pack
+    let editingPackId = null;
+    const customPacks = () => phrasePacks.getPacks().filter(p => !p.builtIn);
+    const refreshPackLists = () => {
+        renderer.renderCustomPackList(customPacks());
+        renderer.renderPackOptions(phrasePacks.getPacks(), packSelect.value);
+        applyContentLocks();
+    };
+
+    packsButton.addEventListener('click', () => {
+        refreshPackLists();
+        renderer.showPackEditor();
+    });
+    closePackEditorButton.addEventListener('click', () => {
+        renderer.hidePackEditor();
+    });
+    packNewButton.addEventListener('click', () => {
+        editingPackId = null;
+        renderer.setPackEditorValues({ name: '', text: '' });
+    });
+    packUploadButton.addEventListener('click', () => {
+        packFileInput.value = '';
+        packFileInput.click();
+    });
+    packFileInput.addEventListener('change', async () => {
+        const file = packFileInput.files[0];
+        if (!file) return;
+        const text = await file.text();
+        const { name } = renderer.getPackEditorValues();
+        renderer.setPackEditorValues({ name: name || file.name.replace(/\.[^.]+$/, ''), text });
+        renderer.renderPackValidation(phrasePacks.parseCustomPhrases(text));
+    });
+    packCheckButton.addEventListener('click', () => {
+        renderer.renderPackValidation(phrasePacks.parseCustomPhrases(renderer.getPackEditorValues().text));
+    });
+    packSaveButton.addEventListener('click', () => {
+        const { name, text } = renderer.getPackEditorValues();
+        const result = phrasePacks.parseCustomPhrases(text);
+        renderer.renderPackValidation(result);
+        if (result.errors.length > 0) return;
+        const saved = phrasePacks.saveCustomPack({ id: editingPackId, name, phrases: result.phrases });
+        editingPackId = saved.id;
+        refreshPackLists();
+        renderer.showToast(`Saved "${saved.name}".`);
+    });
+    customPackList.addEventListener('click', (event) => {
+        const { action, packId } = event.target.dataset || {};
+        const pack = customPacks().find(p => p.id === packId);
+        if (!pack) return;
+        if (action === 'edit') {
+            editingPackId = pack.id;
+            const phrases = pack.phrases.map(({ text, difficulty }) => ({ text, difficulty }));
+            renderer.setPackEditorValues({ name: pack.name, text: JSON.stringify(phrases, null, 2) });
+        } else if (action === 'delete') {
+            phrasePacks.deleteCustomPack(pack.id);
+            if (editingPackId === pack.id) editingPackId = null;
+            refreshPackLists();
+        }
+    });
+
+    // Profiles: each player on this device keeps their own data, and switching applies the player's settings
+    const applyProfileSettings = () => {
+        const settings = storageManager.loadSettings();
+        audioManager.loadSettings();
+        renderer.updateMuteButtonText(audioManager.isMuted());
+        volumeSlider.value = Math.round(audioManager.getVolume() * 100);
+        applyTheme(settings.theme === 'light');
+        raceNameInput.value = settings.raceName || '';
+        raceServerInput.value = settings.raceServer || '';
+        const challenge = gameController.getChallenge(); // A joined challenge keeps its settings
+        if (!challenge) difficultySelect.value = settings.difficulty || 'normal';
+        renderer.renderPackOptions(phrasePacks.getPacks(), challenge ? challenge.pack : settings.packId);
+        applyContentLocks();
+        renderer.renderProfileOptions(profiles.list(), profiles.getActive().id);
+    };
+    const switchProfile = (profileId) => {
+        if (!profiles.switchTo(profileId)) return;
+        applyProfileSettings();
+        renderer.showToast(`Playing as ${profiles.getActive().name}.`);
+    };
+    let confirmDeleteId = null; // Deleting takes a second click on the same profile
+    const refreshProfileScreen = () => {
+        renderer.renderProfileList(profiles.list(), profiles.getActive().id, confirmDeleteId);
+        renderer.renderLeaderboard(profiles.getLeaderboard(leaderboardFilter.value));
+    };
+
+    profileSelect.addEventListener('change', () => switchProfile(profileSelect.value));
+    profilesButton.addEventListener('click', () => {
+        confirmDeleteId = null;
+        refreshProfileScreen();
+        renderer.showProfileScreen();
+    });
+    closeProfilesButton.addEventListener('click', () => {
+        renderer.hideProfileScreen();
+    });
+    leaderboardFilter.addEventListener('change', refreshProfileScreen);
+    const createProfile = () => {
+        const { profile, error } = profiles.create(renderer.getProfileNameInput());
+        if (error) {
+            renderer.showToast(error, 5000, 'error');
+            return;
+        }
+        profileNameInput.value = '';
+        switchProfile(profile.id);
+        refreshProfileScreen();
+    };
+    profileCreateButton.addEventListener('click', createProfile);
+    profileNameInput.addEventListener('keydown', (event) => {
+        if (event.key !== 'Enter') return;
+        event.stopPropagation(); // Don't start a round from the start screen
+        createProfile();
+    });
+    profileList.addEventListener('click', (event) => {
+        const { action, profileId } = event.target.dataset || {};
+        if (!profileId) return;
+        if (action === 'rename') {
+            const error = profiles.rename(profileId, renderer.getProfileNameInput());
+            if (error) {
+                renderer.showToast(error, 5000, 'error');
+                return;
+            }
+            profileNameInput.value = '';
+            renderer.renderProfileOptions(profiles.list(), profiles.getActive().id);
+        } else if (action === 'delete') {
+            confirmDeleteId = profileId;
+        } else if (action === 'confirm-delete') {
+            const wasActive = profileId === profiles.getActive().id;
+            confirmDeleteId = null;
+            if (profiles.remove(profileId) && wasActive) {
+                switchProfile(profiles.getActive().id);
+            }
+            renderer.renderProfileOptions(profiles.list(), profiles.getActive().id);
+        }
+        refreshProfileScreen();
+    });
+
+    // Also allow starting the game by pressing Enter on the start screen. Enter in a text
+    // field, picker or button belongs to that control (e.g. joining a challenge), except in
+    // the game's hidden typing input, which can keep the focus outside rounds.
+    const ENTER_OWNING_TAGS = ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'];
     document.addEventListener('keydown', (event) => {
         const startScreen = document.getElementById('start-screen');
+        if (ENTER_OWNING_TAGS.includes(event.target?.tagName) && event.target.id !== 'hidden-input') return;
         if (startScreen.style.display !== 'none' && event.key === 'Enter') {
             startButton.click();
         }
     });
 
-    // Listener for difficulty select to regain focus
+    // Listener for difficulty select: remember the choice and regain focus
     if (difficultySelect) {
         difficultySelect.addEventListener('change', () => {
+            storageManager.saveSettings({ difficulty: difficultySelect.value });
             setTimeout(() => {
                 gameController.focusInput();
             }, 0);
@@ -0,0 +1,202 @@
+/**
+ * multiplayer.js
+ *
+ * Client for LAN races against other players through the optional race server
+ * (server/raceServer.mjs): creates or joins a room, starts races, and relays each
+ * player's progress and final result.
+ */
+
+const RACE_PATH = '/race';
+const PROGRESS_INTERVAL = 200; // Minimum milliseconds between progress messages
+
+let socket = null;
+let room = null; // { code, playerId, hostId, players: [{ id, name, score, phrases, progress }] }
+let handlers = {};
+let lastProgressTime = 0;
+let pendingProgress = null;
+let progressTimeoutId = null;
+
+/**
+ * Sets the callbacks for messages from the server.
+ * @param {object} callbacks
+ * @param {function(object): void} callbacks.onRoom - The room changed (see getRoom()).
+ * @param {function(object): void} callbacks.onCountdown - A race is starting: { seconds, race } where race is
+ *   { seed, mode, difficulty, timeLimit, pack }.
+ * @param {function(Array<object>): void} callbacks.onProgress - A player's progress changed; receives room.players.
+ * @param {function(Array<object>, boolean): void} callbacks.onRanking - The race ranking changed: (rankings, final).
+ * @param {function(string): void} callbacks.onError - The server rejected a request.
+ * @param {function(): void} callbacks.onDisconnect - The connection to the server was lost or closed.
+ */
+function setHandlers(callbacks) {
+    handlers = callbacks;
+}
+
+/**
+ * Gets the server address the page itself was loaded from, e.g. "192.168.1.20:8080".
+ * @returns {string}
+ */
+function getDefaultAddress() {
+    return window.location.host;
+}
+
+/**
+ * Sends a message if connected.
+ */
+function send(message) {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Handles a message from the server.
+ */
+function dispatch(message) {
+    switch (message.type) {
+        case 'room': {
+            const previous = new Map((room?.players || []).map(p => [p.id, p]));
+            room = {
+                code: message.room,
+                playerId: message.playerId,
+                hostId: message.hostId,
+                players: message.players.map(p => ({ score: 0, phrases: 0, progress: null, ...previous.get(p.id), ...p })),
+            };
+            handlers.onRoom?.(room);
+            break;
+        }
+        case 'countdown':
+            room?.players.forEach(p => Object.assign(p, { score: 0, phrases: 0, progress: null }));
+            handlers.onCountdown?.({ seconds: message.seconds, race: message.race });
+            break;
+        case 'progress': {
+            const player = room?.players.find(p => p.id === message.playerId);
+            if (!player) return;
+            Object.assign(player, { score: message.score, phrases: message.phrases, progress: message.progress });
+            handlers.onProgress?.(room.players);
+            break;
+        }
+        case 'ranking':
+            handlers.onRanking?.(message.rankings, message.final);
+            break;
+        case 'error':
+            handlers.onError?.(message.message);
+            break;
+    }
+}
+
+/**
+ * Connects to a race server and creates or joins a room.
+ * @param {string} address - The server's host and port, e.g. "192.168.1.20:8080".
+ * @param {object} options
+ * @param {string} options.name - The player's name.
+ * @param {string} [options.roomCode] - The room to join; a new room is created if omitted.
+ * @returns {Promise<void>} Resolves once connected; the room arrives through onRoom.
+ */
+function connect(address, { name, roomCode }) {
+    leave();
+    return new Promise((resolve, reject) => {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        let ws;
+        try {
+            ws = new WebSocket(`${protocol}//${address}${RACE_PATH}`);
+        } catch (error) {
+            reject(error);
+            return;
+        }
+        socket = ws;
+        let isOpen = false;
+        ws.addEventListener('open', () => {
+            isOpen = true;
+            send(roomCode ? { type: 'join', room: roomCode, name } : { type: 'create', name });
+            resolve();
+        });
+        ws.addEventListener('message', event => {
+            try {
+                dispatch(JSON.parse(event.data));
+            } catch (error) {
+                console.error("Invalid message from the race server:", error);
+            }
+        });
+        ws.addEventListener('close', () => {
+            if (socket !== ws) return; // Replaced by a newer connection
+            socket = null;
+            room = null;
+            if (isOpen) handlers.onDisconnect?.();
+            else reject(new Error(`Couldn't connect to a race server at ${address}.`));
+        });
+    });
+}
+
+/**
+ * Leaves the room and disconnects.
+ */
+function leave() {
+    clearTimeout(progressTimeoutId);
+    progressTimeoutId = null;
+    pendingProgress = null;
+    if (!socket) return;
+    const ws = socket;
+    socket = null;
+    room = null;
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'leave' }));
+    ws.close();
+}
+
+/**
+ * Asks the server to start a race for everyone in the room (host only).
+ * @param {object} settings - { mode, difficulty, timeLimit, pack }
+ */
+function startRace(settings) {
+    send({ type: 'start', settings });
+}
+
+/**
+ * Reports this player's progress, at most every PROGRESS_INTERVAL; the latest report always gets sent.
+ * @param {object} progress - { score, phrases, progress } where progress is the fraction of the
+ *   round completed, or null in modes without a phrase target.
+ */
+function sendProgress(progress) {
+    pendingProgress = progress;
+    if (progressTimeoutId) return;
+    const wait = Math.max(0, lastProgressTime + PROGRESS_INTERVAL - performance.now());
+    progressTimeoutId = setTimeout(() => {
+        progressTimeoutId = null;
+        lastProgressTime = performance.now();
+        send({ type: 'progress', ...pendingProgress });
+    }, wait);
+}
+
+/**
+ * Reports this player's final result.
+ * @param {object} result - { score, wpm, accuracy }
+ */
+function sendFinish(result) {
+    if (progressTimeoutId) {
+        // Flush the last progress report so opponents see the final position.
+        clearTimeout(progressTimeoutId);
+        progressTimeoutId = null;
+        send({ type: 'progress', ...pendingProgress });
+    }
+    send({ type: 'finish', ...result });
+}
+
+/**
+ * Tells the server this player couldn't start the race that is counting down, so
+ * the other racers' ranking doesn't wait for a result that will never come.
+ */
+function withdraw() {
+    send({ type: 'withdraw' });
+}
+
+export const multiplayer = {
+    setHandlers,
+    getDefaultAddress,
+    connect,
+    leave,
+    startRace,
+    sendProgress,
+    sendFinish,
+    withdraw,
+    getRoom: () => room,
+    isHost: () => Boolean(room && room.hostId === room.playerId),
+};
@@ -0,0 +1,131 @@
+/**
+ * phraseDeck.js
+ *
+ * Builds the pool of phrases for a round based on the selected difficulty and
+ * deals them from a shuffled deck, so no phrase repeats until the deck runs out.
+ * Shuffles can be seeded so the same seed deals the same phrases in the same order.
+ */
+
+import { random } from './random.js';
+
+// Difficulty tiers in ascending order; "neighbouring" tiers are adjacent entries.
+const TIER_ORDER = ['easy', 'normal', 'hard', 'lunatic'];
+
+const DECK_SETTINGS = {
+    spillOver: 1,         // How many neighbouring tiers (each side) may be mixed in
+    spillOverRatio: 0.25, // Number of neighbour phrases relative to the selected tier's size
+    minDeckSize: 8,       // Below this, the pool widens to whole neighbouring tiers
+};
+
+let deck = [];
+let pool = [];
+let lastDrawnId = null;
+let rng = Math.random;
+
+/**
+ * Seeds the shuffles of the next build and the draws that follow it.
+ * @param {number | null} seed - A 32-bit integer seed, or null for unseeded shuffles.
+ */
+function setSeed(seed) {
+    rng = seed == null ? Math.random : random.createSeeded(seed);
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates).
+ * @param {Array} items - The items to shuffle.
+ * @returns {Array} A new, shuffled array.
+ */
+function shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Gets the distance between two difficulty tiers.
+ * Unknown tiers are treated as "normal".
+ */
+function tierDistance(a, b) {
+    const indexOf = tier => {
+        const index = TIER_ORDER.indexOf(tier);
+        return index === -1 ? TIER_ORDER.indexOf('normal') : index;
+    };
+    return Math.abs(indexOf(a) - indexOf(b));
+}
+
+/**
+ * Builds the phrase pool for a round.
+ * @param {Array<object>} phrases - All available phrases.
+ * @param {string} difficulty - The selected difficulty.
+ * @returns {{ size: number, widenedTo: Array<string> | null }} The pool size, and the
+ *   extra tiers that had to be pulled in whole because the selected tier was too small.
+ */
+function build(phrases, difficulty) {
+    const core = phrases.filter(p => tierDistance(p.difficulty, difficulty) === 0);
+    const neighbours = phrases.filter(p => {
+        const distance = tierDistance(p.difficulty, difficulty);
+        return distance > 0 && distance <= DECK_SETTINGS.spillOver;
+    });
+    const spillCount = Math.ceil(core.length * DECK_SETTINGS.spillOverRatio);
+    pool = [...core, ...shuffle(neighbours).slice(0, spillCount)];
+
+    // Fall back to whole neighbouring tiers, nearest first, until the deck is big enough.
+    let widenedTo = null;
+    for (let distance = 1; pool.length < DECK_SETTINGS.minDeckSize && distance < TIER_ORDER.length; distance++) {
+        const extra = phrases.filter(p => tierDistance(p.difficulty, difficulty) === distance && !pool.includes(p));
+        if (extra.length === 0) continue;
+        pool.push(...extra);
+        widenedTo = [...(widenedTo || []), ...new Set(extra.map(p => p.difficulty))];
+    }
+
+    deck = [];
+    lastDrawnId = null;
+    return { size: pool.length, widenedTo };
+}
+
+/**
+ * Builds the pool from exactly the given phrases, regardless of difficulty
+ * (e.g. phrases picked for weak-key training).
+ * @param {Array<object>} phrases - The phrases for the round.
+ * @param {object} [options]
+ * @param {boolean} [options.ordered] - Deal the phrases in the given order first (e.g. to replay
+ *   a recorded round), then reshuffle as usual.
+ * @returns {{ size: number, widenedTo: null }} The pool size.
+ */
+function buildFixed(phrases, { ordered = false } = {}) {
+    pool = [...phrases];
+    deck = ordered ? [...phrases].reverse() : [];
+    lastDrawnId = null;
+    return { size: pool.length, widenedTo: null };
+}
+
+/**
+ * Draws the next phrase from the deck, reshuffling the pool when the deck is empty.
+ * A reshuffle never starts with the phrase that was just drawn.
+ * @returns {object | null} The next phrase, or null if the pool is empty.
+ */
+function draw() {
+    if (pool.length === 0) return null;
+
+    if (deck.length === 0) {
+        deck = shuffle(pool);
+        if (deck.length > 1 && deck[deck.length - 1].id === lastDrawnId) {
+            [deck[0], deck[deck.length - 1]] = [deck[deck.length - 1], deck[0]];
+        }
+    }
+
+    const phrase = deck.pop();
+    lastDrawnId = phrase.id;
+    return phrase;
+}
+
+export const phraseDeck = {
+    build,
+    buildFixed,
+    draw,
+    setSeed,
+    TIER_ORDER,
+};
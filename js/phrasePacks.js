@@ -0,0 +1,197 @@
+/**
+ * phrasePacks.js
+ *
+ * Manages phrase packs: the built-in packs listed in data/packs.json and custom
+ * packs authored in the in-app editor, which are persisted via storageManager.
+ */
+
+import { storageManager } from './storageManager.js';
+
+const MANIFEST_PATH = 'data/packs.json';
+const DIFFICULTIES = ['easy', 'normal', 'hard', 'lunatic'];
+
+const CUSTOM_PACK_LIMITS = {
+    minLength: 2,
+    maxLength: 200,
+    maxPhrases: 500,
+};
+
+// Complexity thresholds for auto-assigned difficulty (see rateDifficulty).
+const DIFFICULTY_THRESHOLDS = { easy: 28, normal: 45, hard: 62 };
+
+let builtInPacks = [];
+
+/**
+ * Loads the pack manifest and every built-in pack.
+ */
+async function init() {
+    const fetchJson = async (path) => {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    };
+
+    const manifest = await fetchJson(MANIFEST_PATH);
+    if (!manifest || !Array.isArray(manifest.packs)) {
+        throw new Error('Invalid phrase pack manifest format.');
+    }
+
+    builtInPacks = await Promise.all(manifest.packs.map(async (meta) => {
+        const data = await fetchJson(meta.file);
+        if (!data || !Array.isArray(data.phrases)) {
+            throw new Error(`Invalid phrases data format in ${meta.file}.`);
+        }
+        return { ...meta, builtIn: true, phrases: data.phrases };
+    }));
+    console.log(`Loaded ${builtInPacks.length} phrase packs.`);
+}
+
+/**
+ * Gets every pack, built-in first, then custom packs.
+ * @returns {Array<object>} Packs: { id, name, description, language, builtIn, phrases }.
+ */
+function getPacks() {
+    const customPacks = storageManager.loadCustomPacks().map(p => ({ ...p, builtIn: false }));
+    return [...builtInPacks, ...customPacks];
+}
+
+/**
+ * Gets a pack by id.
+ * @param {string} id - The pack id.
+ * @returns {object | null} The pack, or null if it doesn't exist.
+ */
+function getPack(id) {
+    return getPacks().find(p => p.id === id) || null;
+}
+
+/**
+ * Rates how hard a phrase is to type from its length, symbols, digits and capitals.
+ * @param {string} text - The phrase.
+ * @returns {string} One of 'easy', 'normal', 'hard', 'lunatic'.
+ */
+function rateDifficulty(text) {
+    const symbols = (text.match(/[^A-Za-z0-9\s.,'!?]/g) || []).length;
+    const digits = (text.match(/[0-9]/g) || []).length;
+    const capitals = (text.slice(1).match(/[A-Z]/g) || []).length;
+    const complexity = text.length + symbols * 3 + digits * 2 + capitals;
+
+    if (complexity < DIFFICULTY_THRESHOLDS.easy) return 'easy';
+    if (complexity < DIFFICULTY_THRESHOLDS.normal) return 'normal';
+    if (complexity < DIFFICULTY_THRESHOLDS.hard) return 'hard';
+    return 'lunatic';
+}
+
+/**
+ * Reads raw entries from pasted or uploaded text: a JSON list of strings or
+ * { text, difficulty } objects (optionally wrapped in { phrases }), or one phrase per line.
+ */
+function readEntries(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) {
+        return text.split(/\r?\n/).map(line => ({ text: line }));
+    }
+
+    const data = JSON.parse(trimmed);
+    const list = Array.isArray(data) ? data : data.phrases;
+    if (!Array.isArray(list)) {
+        throw new Error('JSON must be a list of phrases or an object with a "phrases" list.');
+    }
+    return list.map(item => (typeof item === 'string' ? { text: item } : { ...item }));
+}
+
+/**
+ * Parses and validates custom pack text.
+ * Blank lines are skipped, duplicates removed and missing difficulties rated automatically.
+ * @param {string} text - One phrase per line, or JSON.
+ * @returns {{ phrases: Array<object>, errors: Array<string>, duplicates: number }}
+ */
+function parseCustomPhrases(text) {
+    let entries;
+    try {
+        entries = readEntries(text);
+    } catch (error) {
+        return { phrases: [], errors: [`Invalid JSON: ${error.message}`], duplicates: 0 };
+    }
+
+    const errors = [];
+    const seen = new Set();
+    const phrases = [];
+    let duplicates = 0;
+
+    entries.forEach((entry, index) => {
+        const label = `Phrase ${index + 1}`;
+        if (typeof entry.text !== 'string') {
+            errors.push(`${label}: missing "text".`);
+            return;
+        }
+        const phraseText = entry.text.replace(/\s+/g, ' ').trim();
+        if (phraseText === '') return;
+        if (phraseText.length < CUSTOM_PACK_LIMITS.minLength || phraseText.length > CUSTOM_PACK_LIMITS.maxLength) {
+            errors.push(`${label}: must be ${CUSTOM_PACK_LIMITS.minLength}-${CUSTOM_PACK_LIMITS.maxLength} characters.`);
+            return;
+        }
+        if (/[\u0000-\u001f\u007f]/.test(phraseText)) {
+            errors.push(`${label}: contains characters that can't be typed.`);
+            return;
+        }
+        if (entry.difficulty !== undefined && !DIFFICULTIES.includes(entry.difficulty)) {
+            errors.push(`${label}: unknown difficulty "${entry.difficulty}".`);
+            return;
+        }
+        if (seen.has(phraseText)) {
+            duplicates++;
+            return;
+        }
+        seen.add(phraseText);
+        phrases.push({ text: phraseText, difficulty: entry.difficulty || rateDifficulty(phraseText) });
+    });
+
+    if (phrases.length > CUSTOM_PACK_LIMITS.maxPhrases) {
+        errors.push(`A pack can hold at most ${CUSTOM_PACK_LIMITS.maxPhrases} phrases.`);
+    }
+    if (phrases.length === 0 && errors.length === 0) {
+        errors.push('The pack has no phrases.');
+    }
+
+    return { phrases, errors, duplicates };
+}
+
+/**
+ * Saves a custom pack, replacing an existing custom pack with the same id.
+ * @param {object} pack - { id?, name, description?, phrases } with phrases from parseCustomPhrases().
+ * @returns {object} The saved pack.
+ */
+function saveCustomPack({ id, name, description = '', phrases }) {
+    const packId = id || `custom-${Date.now()}`;
+    const saved = {
+        id: packId,
+        name: name.trim() || 'Untitled Pack',
+        description,
+        language: 'en',
+        updatedAt: Date.now(),
+        phrases: phrases.map((p, index) => ({ id: `${packId}-${index + 1}`, text: p.text, difficulty: p.difficulty })),
+    };
+    const others = storageManager.loadCustomPacks().filter(p => p.id !== packId);
+    storageManager.saveCustomPacks([...others, saved]);
+    return saved;
+}
+
+/**
+ * Deletes a custom pack.
+ * @param {string} id - The pack id.
+ */
+function deleteCustomPack(id) {
+    storageManager.saveCustomPacks(storageManager.loadCustomPacks().filter(p => p.id !== id));
+}
+
+export const phrasePacks = {
+    init,
+    getPacks,
+    getPack,
+    rateDifficulty,
+    parseCustomPhrases,
+    saveCustomPack,
+    deleteCustomPack,
+};
@@ -0,0 +1,88 @@
+/**
+ * profiles.js
+ *
+ * Named local profiles, so several players sharing a browser each keep their own
+ * results, badges, settings and personal bests (see storageManager.js for where
+ * each profile's data lives), and the leaderboard comparing them.
+ */
+
+import { storageManager } from './storageManager.js';
+import { historyStats } from './historyStats.js';
+
+const MAX_NAME_LENGTH = 20;
+
+/**
+ * Checks a profile name. Names are trimmed and must be unique, ignoring case.
+ * @param {string} name - The proposed name.
+ * @param {string} [profileId] - The profile being renamed, which may keep its own name.
+ * @returns {string | null} A human-readable problem, or null if the name can be used.
+ */
+function checkName(name, profileId = null) {
+    const trimmed = name.trim();
+    if (!trimmed) return 'Enter a profile name.';
+    if (trimmed.length > MAX_NAME_LENGTH) return `Profile names can be at most ${MAX_NAME_LENGTH} characters.`;
+    const taken = storageManager.listProfiles()
+        .some(p => p.id !== profileId && p.name.toLowerCase() === trimmed.toLowerCase());
+    return taken ? `There is already a profile called "${trimmed}".` : null;
+}
+
+/**
+ * Creates a profile.
+ * @param {string} name - The profile name.
+ * @returns {object} { profile, error }: the new profile, or null and the reason it wasn't created.
+ */
+function create(name) {
+    const error = checkName(name);
+    if (error) return { profile: null, error };
+    const profile = storageManager.createProfile(name.trim());
+    return { profile, error: profile ? null : 'The profile could not be saved.' };
+}
+
+/**
+ * Renames a profile.
+ * @param {string} profileId - The profile to rename.
+ * @param {string} name - The new name.
+ * @returns {string | null} The reason it wasn't renamed, or null on success.
+ */
+function rename(profileId, name) {
+    const error = checkName(name, profileId);
+    if (error) return error;
+    return storageManager.renameProfile(profileId, name.trim()) ? null : 'The profile could not be renamed.';
+}
+
+/**
+ * Compares the profiles on this browser by their personal bests.
+ * @param {string} [difficulty] - Only count rounds of this difficulty, or 'all'.
+ * @returns {Array<object>} [{ id, name, active, games, score, wpm, accuracy, maxCombo, badges }],
+ *   best score first. Profiles without rounds come last.
+ */
+function getLeaderboard(difficulty = 'all') {
+    const activeId = storageManager.getActiveProfile().id;
+    return storageManager.listProfiles().map(profile => {
+        const data = storageManager.loadProfileData(profile.id) || {};
+        const bests = historyStats.personalBests(data.gameResults || [], data.resultArchive || [])
+            .filter(best => difficulty === 'all' || best.difficulty === difficulty);
+        return {
+            id: profile.id,
+            name: profile.name,
+            active: profile.id === activeId,
+            games: bests.reduce((sum, best) => sum + best.games, 0),
+            score: Math.max(0, ...bests.map(best => best.score)),
+            wpm: Math.max(0, ...bests.map(best => best.wpm)),
+            accuracy: Math.max(0, ...bests.map(best => best.accuracy)),
+            maxCombo: Math.max(0, ...bests.map(best => best.maxCombo)),
+            badges: Object.keys(data.badges || {}).length,
+        };
+    }).sort((a, b) => (b.games > 0) - (a.games > 0) || b.score - a.score || b.wpm - a.wpm);
+}
+
+export const profiles = {
+    list: storageManager.listProfiles,
+    getActive: storageManager.getActiveProfile,
+    switchTo: storageManager.setActiveProfile,
+    remove: storageManager.deleteProfile,
+    checkName,
+    create,
+    rename,
+    getLeaderboard,
+};
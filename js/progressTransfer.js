@@ -0,0 +1,234 @@
+/**
+ * progressTransfer.js
+ *
+ * Exports saved progress (history, badges, settings) to a portable file and
+ * validates, previews and merges files being imported.
+ */
+
+import { storageManager } from './storageManager.js';
+import { phrasePacks } from './phrasePacks.js';
+
+const EXPORT_FORMAT = 'ancienttech-progress';
+const EXPORT_VERSION = 1;
+
+// Parts of the stored data included in an export. Replays are left out: they are
+// large and refer to phrases by the packs installed in this browser.
+const EXPORTED_KEYS = ['gameResults', 'resultArchive', 'badges', 'settings', 'questProgress', 'customPacks', 'keyStats', 'trainingProgress', 'campaignProgress'];
+
+const CSV_COLUMNS = [
+    'timestamp', 'date', 'score', 'wpm', 'accuracy', 'difficulty', 'mode', 'duration',
+    'phrasesCompleted', 'maxCombo', 'misses', 'challengeCode',
+];
+
+/**
+ * Builds the export file contents from the current saved data.
+ * @returns {string} The JSON text to download.
+ */
+function buildExport() {
+    const stored = storageManager.load() || {};
+    const data = Object.fromEntries(EXPORTED_KEYS.map(key => [key, stored[key]]).filter(([, value]) => value !== undefined));
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        schemaVersion: stored.schemaVersion || 0,
+        exportedAt: new Date().toISOString(),
+        data,
+    }, null, 2);
+}
+
+/**
+ * Converts game results to CSV, one row per result.
+ * @param {Array<object>} results - Saved game results.
+ * @returns {string} The CSV text.
+ */
+function buildResultsCsv(results) {
+    const escape = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = results.map(r => CSV_COLUMNS.map(column => {
+        if (column === 'date') return escape(new Date(r.timestamp).toISOString());
+        const value = r[column];
+        return escape(typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : value);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Parses and validates an export file.
+ * @param {string} text - The file contents.
+ * @returns {{ data: object | null, errors: Array<string> }} The stored-data shape to import, or errors.
+ */
+function parseImport(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        return { data: null, errors: ['The file is not valid JSON.'] };
+    }
+
+    const errors = [];
+    if (file?.format !== EXPORT_FORMAT) {
+        errors.push('The file is not an AncientTech progress export.');
+    } else if (typeof file.version !== 'number' || file.version > EXPORT_VERSION) {
+        errors.push(`Export version ${file.version} is not supported by this version of the game.`);
+    }
+    if (errors.length > 0) return { data: null, errors };
+
+    const data = file.data || {};
+    if (data.gameResults !== undefined && !Array.isArray(data.gameResults)) {
+        errors.push('"gameResults" must be a list.');
+    } else if ((data.gameResults || []).some(r => typeof r?.timestamp !== 'number' || typeof r?.score !== 'number')) {
+        errors.push('Some game results are missing a timestamp or score.');
+    }
+    ['resultArchive', 'customPacks'].forEach(key => {
+        if (data[key] !== undefined && !Array.isArray(data[key])) {
+            errors.push(`"${key}" must be a list.`);
+        }
+    });
+    ['badges', 'settings', 'questProgress', 'keyStats', 'trainingProgress', 'campaignProgress'].forEach(key => {
+        if (data[key] !== undefined && (typeof data[key] !== 'object' || Array.isArray(data[key]))) {
+            errors.push(`"${key}" must be an object.`);
+        }
+    });
+    if (errors.length > 0) return { data: null, errors };
+
+    const customPacks = data.customPacks === undefined ? undefined : checkCustomPacks(data.customPacks, errors);
+    if (errors.length > 0) return { data: null, errors };
+
+    return { data: { ...data, ...(customPacks && { customPacks }), schemaVersion: file.schemaVersion || 0 }, errors: [] };
+}
+
+/**
+ * Validates imported custom packs like the pack editor does, adding human-readable errors to a list.
+ * @param {Array<object>} packs - The imported custom packs.
+ * @param {Array<string>} errors - Receives the problems found.
+ * @returns {Array<object>} The packs with their phrases cleaned up by phrasePacks.parseCustomPhrases().
+ */
+function checkCustomPacks(packs, errors) {
+    const ids = new Set();
+    return packs.map((pack, index) => {
+        const label = `Custom pack ${typeof pack?.name === 'string' && pack.name ? `"${pack.name}"` : index + 1}`;
+        if (typeof pack?.id !== 'string' || !pack.id || ids.has(pack.id)) {
+            errors.push(`${label}: needs a unique id.`);
+            return pack;
+        }
+        ids.add(pack.id);
+        if (typeof pack.name !== 'string') errors.push(`${label}: missing "name".`);
+        if (!Array.isArray(pack.phrases)) {
+            errors.push(`${label}: "phrases" must be a list.`);
+            return pack;
+        }
+        const result = phrasePacks.parseCustomPhrases(JSON.stringify(pack.phrases));
+        errors.push(...result.errors.map(error => `${label}: ${error}`));
+        const phrases = result.phrases.map((p, i) => ({ id: `${pack.id}-${i + 1}`, text: p.text, difficulty: p.difficulty }));
+        return { ...pack, phrases };
+    });
+}
+
+/**
+ * Identifies a game result for de-duplication.
+ */
+function resultKey(result) {
+    return `${result.timestamp}:${result.score}`;
+}
+
+/**
+ * Summarizes what importing would change.
+ * @param {object} imported - Data returned by parseImport().
+ * @returns {object} { newResults, duplicateResults, newBadges, settingsChanged, currentResults }
+ */
+function previewImport(imported) {
+    const current = storageManager.load() || {};
+    const existingKeys = new Set((current.gameResults || []).map(resultKey));
+    const importedResults = imported.gameResults || [];
+    const newResults = importedResults.filter(r => !existingKeys.has(resultKey(r))).length;
+    const currentBadges = current.badges || {};
+
+    return {
+        newResults,
+        duplicateResults: importedResults.length - newResults,
+        currentResults: (current.gameResults || []).length,
+        newBadges: Object.keys(imported.badges || {}).filter(name => !currentBadges[name]),
+        settingsChanged: Object.entries(imported.settings || {})
+            .some(([key, value]) => (current.settings || {})[key] !== value),
+    };
+}
+
+/**
+ * Merges imported data into the saved data. Game results already present are skipped,
+ * the earliest record of each badge is kept and current settings win. Key statistics are
+ * running totals that can't be de-duplicated, so the current ones are kept if there are any;
+ * the same goes for training progress, which is built from them.
+ * @param {object} imported - Data returned by parseImport().
+ * @returns {boolean} True if the merged data was saved.
+ */
+function mergeImport(imported) {
+    const current = storageManager.load() || {};
+    imported = storageManager.migrate({ ...imported });
+    const existingKeys = new Set((current.gameResults || []).map(resultKey));
+    const newResults = (imported.gameResults || []).filter(r => !existingKeys.has(resultKey(r)));
+
+    const badges = { ...(imported.badges || {}) };
+    Object.entries(current.badges || {}).forEach(([name, record]) => {
+        if (!badges[name] || record.earnedAt <= badges[name].earnedAt) badges[name] = record;
+    });
+
+    const questProgress = { ...(imported.questProgress || {}) };
+    Object.entries(current.questProgress || {}).forEach(([id, entry]) => {
+        const other = questProgress[id];
+        questProgress[id] = !other || entry.completions >= other.completions ? entry : other;
+    });
+
+    // Campaign stages cleared on either side stay cleared, keeping the earlier clear.
+    const campaignProgress = { ...(imported.campaignProgress || {}) };
+    Object.entries(current.campaignProgress || {}).forEach(([id, record]) => {
+        const other = campaignProgress[id];
+        if (!other || record.completedAt <= other.completedAt) campaignProgress[id] = record;
+    });
+
+    // Archived months present on both sides keep the larger aggregate.
+    const archive = [...(current.resultArchive || [])];
+    (imported.resultArchive || []).forEach(entry => {
+        const index = archive.findIndex(a => a.period === entry.period && a.difficulty === entry.difficulty);
+        if (index === -1) archive.push(entry);
+        else if (entry.games > archive[index].games) archive[index] = entry;
+    });
+
+    // Custom packs are matched by id; the current version of a pack wins.
+    const currentPackIds = new Set((current.customPacks || []).map(p => p.id));
+    const customPacks = [
+        ...(current.customPacks || []),
+        ...(imported.customPacks || []).filter(p => !currentPackIds.has(p.id)),
+    ];
+
+    return storageManager.replaceData({
+        ...imported,
+        ...current,
+        customPacks,
+        gameResults: [...(current.gameResults || []), ...newResults].sort((a, b) => a.timestamp - b.timestamp),
+        resultArchive: archive,
+        badges,
+        questProgress,
+        campaignProgress,
+        settings: { ...(imported.settings || {}), ...(current.settings || {}) },
+    });
+}
+
+/**
+ * Replaces the saved data with the imported data. Saved replays are kept, since exports never include them.
+ * @param {object} imported - Data returned by parseImport().
+ * @returns {boolean} True if the data was saved.
+ */
+function replaceWithImport(imported) {
+    return storageManager.replaceData({ ...imported, replays: storageManager.loadReplays() });
+}
+
+export const progressTransfer = {
+    buildExport,
+    buildResultsCsv,
+    parseImport,
+    previewImport,
+    mergeImport,
+    replaceWithImport,
+};
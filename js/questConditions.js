@@ -0,0 +1,178 @@
+/**
+ * questConditions.js
+ *
+ * The condition language for quest goals in data/quests.json. A goal names the
+ * game event it listens to, a condition over that event's stats, and how many
+ * matching events it takes:
+ *
+ *   "goal": {
+ *     "on": "phrase_complete",                        // An event from EVENTS
+ *     "when": { "all": [                              // Optional; every event counts if omitted
+ *       { "stat": "length", "op": ">", "value": 40 },
+ *       { "stat": "difficulty", "op": "==", "value": "hard" }
+ *     ] },
+ *     "count": 3,                                     // Matching events needed (default 1)
+ *     "within": 60,                                   // Optional: all of them within this many seconds of play
+ *     "streak": true                                  // Optional: a non-matching event resets the count
+ *   }
+ *
+ * Conditions are comparisons { stat, op, value } combined with { "all": [...] },
+ * { "any": [...] } and { "not": condition }. Comparison operators are ==, !=, >, >=,
+ * <, <= and "includesAny" (the stat, a text, contains any of the strings in value).
+ */
+
+// Stats available in every event.
+const COMMON_STATS = {
+    difficulty: 'string',     // 'easy', 'normal', 'hard' or 'lunatic'
+    mode: 'string',           // The round mode, e.g. 'timed'
+    score: 'number',          // Score so far
+    combo: 'number',          // Current combo
+    accuracy: 'number',       // Accuracy so far, in percent
+    phrasesCompleted: 'number',
+    time: 'number',           // Milliseconds of play since the first keystroke, excluding pauses
+};
+
+// Events quests can listen to, with the stats each adds to COMMON_STATS.
+const EVENTS = {
+    phrase_start: { text: 'string', length: 'number' },                       // A phrase is shown
+    stat_update: { correct: 'boolean' },                                      // A key is typed
+    phrase_complete: { misses: 'number', length: 'number', seconds: 'number' }, // A phrase is submitted
+    game_end: { wpm: 'number' },                                              // The round ends
+};
+
+const OPERATORS = {
+    '==': (stat, value) => stat === value,
+    '!=': (stat, value) => stat !== value,
+    '>': (stat, value) => stat > value,
+    '>=': (stat, value) => stat >= value,
+    '<': (stat, value) => stat < value,
+    '<=': (stat, value) => stat <= value,
+    includesAny: (stat, value) => typeof stat === 'string' && value.some(part => stat.includes(part)),
+};
+
+/**
+ * Gets the stats an event provides and their types.
+ * @param {string} eventType - A key of EVENTS.
+ * @returns {object} { [stat]: type }
+ */
+function getStats(eventType) {
+    return { ...COMMON_STATS, ...EVENTS[eventType] };
+}
+
+/**
+ * Validates a condition tree, adding human-readable errors to a list.
+ */
+function validateCondition(condition, stats, path, errors) {
+    if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
+        errors.push(`${path} must be an object.`);
+        return;
+    }
+    if ('all' in condition || 'any' in condition) {
+        const key = 'all' in condition ? 'all' : 'any';
+        if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+            errors.push(`${path}.${key} must be a non-empty list of conditions.`);
+            return;
+        }
+        condition[key].forEach((child, index) => validateCondition(child, stats, `${path}.${key}[${index}]`, errors));
+        return;
+    }
+    if ('not' in condition) {
+        validateCondition(condition.not, stats, `${path}.not`, errors);
+        return;
+    }
+
+    const { stat, op, value } = condition;
+    if (!Object.hasOwn(stats, String(stat))) {
+        errors.push(`${path}: unknown stat "${stat}" (available: ${Object.keys(stats).join(', ')}).`);
+        return;
+    }
+    if (!Object.hasOwn(OPERATORS, String(op))) {
+        errors.push(`${path}: unknown operator "${op}" (use ${Object.keys(OPERATORS).join(', ')}).`);
+        return;
+    }
+    if (op === 'includesAny') {
+        if (stats[stat] !== 'string' || !Array.isArray(value) || !value.every(part => typeof part === 'string')) {
+            errors.push(`${path}: includesAny needs a text stat and a list of strings.`);
+        }
+    } else if (typeof value !== stats[stat]) {
+        errors.push(`${path}: "${stat}" is a ${stats[stat]}, but the value ${JSON.stringify(value)} is not.`);
+    } else if (stats[stat] !== 'number' && !['==', '!='].includes(op)) {
+        errors.push(`${path}: "${op}" only compares numbers; use == or != for "${stat}".`);
+    }
+}
+
+/**
+ * Validates a quest goal.
+ * @param {object} goal - The quest's goal.
+ * @returns {Array<string>} Human-readable errors; empty if the goal is valid.
+ */
+function validateGoal(goal) {
+    const errors = [];
+    if (typeof goal !== 'object' || goal === null) return ['goal must be an object.'];
+    if (!Object.hasOwn(EVENTS, String(goal.on))) {
+        return [`goal.on must be one of ${Object.keys(EVENTS).join(', ')} (got ${JSON.stringify(goal.on)}).`];
+    }
+    if (goal.when !== undefined) validateCondition(goal.when, getStats(goal.on), 'goal.when', errors);
+    if (goal.count !== undefined && !(Number.isInteger(goal.count) && goal.count > 0)) {
+        errors.push('goal.count must be a whole number above 0.');
+    }
+    if (goal.within !== undefined && !(typeof goal.within === 'number' && goal.within > 0)) {
+        errors.push('goal.within must be a number of seconds above 0.');
+    }
+    if (goal.streak !== undefined && typeof goal.streak !== 'boolean') {
+        errors.push('goal.streak must be true or false.');
+    }
+    return errors;
+}
+
+/**
+ * Evaluates a condition against known stats. Stats missing from `stats` are unknown,
+ * and the result is null when it depends on them.
+ * @param {object} condition - A validated condition.
+ * @param {object} stats - Stat values.
+ * @returns {boolean | null}
+ */
+function evaluate(condition, stats) {
+    if (condition.all) {
+        const results = condition.all.map(child => evaluate(child, stats));
+        if (results.includes(false)) return false;
+        return results.includes(null) ? null : true;
+    }
+    if (condition.any) {
+        const results = condition.any.map(child => evaluate(child, stats));
+        if (results.includes(true)) return true;
+        return results.includes(null) ? null : false;
+    }
+    if (condition.not) {
+        const result = evaluate(condition.not, stats);
+        return result === null ? null : !result;
+    }
+    if (!(condition.stat in stats)) return null;
+    return OPERATORS[condition.op](stats[condition.stat], condition.value);
+}
+
+/**
+ * Checks whether an event matches a goal's condition.
+ * @param {object} goal - A validated goal.
+ * @param {object} stats - The event's stats.
+ * @returns {boolean}
+ */
+function matches(goal, stats) {
+    return !goal.when || evaluate(goal.when, stats) === true;
+}
+
+/**
+ * Checks whether a goal can still be met given some stats fixed for the whole round.
+ * @param {object} goal - A validated goal.
+ * @param {object} roundStats - e.g. { difficulty: 'hard', mode: 'timed' }.
+ * @returns {boolean} False only if the condition fails whatever the other stats are.
+ */
+function isPossible(goal, roundStats) {
+    return !goal.when || evaluate(goal.when, roundStats) !== false;
+}
+
+export const questConditions = {
+    validateGoal,
+    matches,
+    isPossible,
+};
@@ -1,11 +1,57 @@
 /**
  * questsManager.js
  * 
- * Manages loading, tracking, and completing quests.
+ * Manages loading, tracking, and completing quests. Quest goals are declared
+ * in data/quests.json with the condition language in questConditions.js.
  */
 
+import { storageManager } from './storageManager.js';
+import { random } from './random.js';
+import { questConditions } from './questConditions.js';
+
+const ROTATION = {
+    questsPerRound: 3,
+    masteryThreshold: 3, // Completions after which a quest leaves the random rotation
+};
+
 let allQuests = [];
 let activeQuests = [];
+// Whether completions count toward the player's quest history and mastery. Only the regular
+// quest sets do; campaign stages and challenges bring their own quests.
+let recordsCompletions = true;
+
+/**
+ * Validates quest definitions.
+ * @param {Array<object>} quests - The quest definitions to validate.
+ * @returns {object} { valid, errors }: the valid quests, and human-readable messages naming
+ *   each invalid quest and what is wrong with it.
+ */
+function validateQuests(quests) {
+    const errors = [];
+    const ids = new Set();
+    const valid = quests.filter((quest, index) => {
+        const name = typeof quest?.id === 'string' && quest.id ? `Quest "${quest.id}"` : `Quest #${index + 1}`;
+        const questErrors = [];
+        if (typeof quest?.id !== 'string' || !quest.id) questErrors.push('id must be a non-empty string.');
+        else if (ids.has(quest.id)) questErrors.push('id is used by an earlier quest.');
+        if (typeof quest?.description !== 'string') questErrors.push('description must be a string.');
+        questErrors.push(...questConditions.validateGoal(quest?.goal));
+        const reward = quest?.reward;
+        if (typeof reward !== 'object' || reward === null) {
+            questErrors.push('reward must be an object.');
+        } else {
+            if (reward.scoreBonus !== undefined && typeof reward.scoreBonus !== 'number') questErrors.push('reward.scoreBonus must be a number.');
+            if (reward.badge !== undefined && typeof reward.badge !== 'string') questErrors.push('reward.badge must be a string.');
+        }
+        if (quest?.weight !== undefined && !(typeof quest.weight === 'number' && quest.weight >= 0)) {
+            questErrors.push('weight must be a number of 0 or more.');
+        }
+        errors.push(...questErrors.map(error => `${name}: ${error}`));
+        if (typeof quest?.id === 'string') ids.add(quest.id);
+        return questErrors.length === 0;
+    });
+    return { valid, errors };
+}
 
 /**
  * Loads quest definitions from the JSON file.
@@ -20,7 +66,11 @@ async function init() {
         if (!data || !Array.isArray(data.quests)) {
             throw new Error('Invalid quests data format.');
         }
-        allQuests = data.quests;
+        const { valid, errors } = validateQuests(data.quests);
+        if (errors.length > 0) {
+            console.error(`Invalid quest definitions in data/quests.json (these quests are disabled):\n${errors.join('\n')}`);
+        }
+        allQuests = valid;
         reset();
         console.log("Quests manager initialized.");
     } catch (error) {
@@ -31,91 +81,187 @@ async function init() {
 }
 
 /**
- * Resets active quests for a new game, selecting a few random ones.
- * @param {number} count - The number of quests to activate for the round.
+ * Checks whether a quest can be completed at the given difficulty.
+ */
+function isAchievable(quest, difficulty) {
+    return questConditions.isPossible(quest.goal, { difficulty });
+}
+
+/**
+ * Picks quests at random without replacement, weighted by each quest's `weight` (default 1).
+ * @param {Array<object>} quests - The candidate quests.
+ * @param {number} count - How many quests to pick.
+ * @param {function(): number} rng - Random source returning floats in [0, 1).
+ * @returns {Array<object>} The picked quests.
+ */
+function weightedSample(quests, count, rng) {
+    const remaining = [...quests];
+    const picked = [];
+    while (picked.length < count && remaining.length > 0) {
+        const totalWeight = remaining.reduce((sum, q) => sum + (q.weight ?? 1), 0);
+        let roll = rng() * totalWeight;
+        let index = remaining.findIndex(q => (roll -= (q.weight ?? 1)) < 0);
+        if (index === -1) index = remaining.length - 1;
+        picked.push(remaining.splice(index, 1)[0]);
+    }
+    return picked;
+}
+
+/**
+ * Draws a random quest set for a round. At least one quest is achievable at the
+ * selected difficulty.
+ * @param {number} count - How many quests to draw.
+ * @param {string} difficulty - The round difficulty.
+ * @param {object} [options]
+ * @param {function(): number} [options.rng] - Random source; seeded for reproducible rounds.
+ * @param {boolean} [options.skipMastered] - Leave out quests the player has mastered. Off for
+ *   challenge rounds, whose quests must not depend on the player's progress.
+ */
+function drawRandomSet(count, difficulty, { rng = Math.random, skipMastered = true } = {}) {
+    const progress = skipMastered ? storageManager.loadQuestProgress() : {};
+    const unmastered = allQuests.filter(q => (progress[q.id]?.completions || 0) < ROTATION.masteryThreshold);
+    // Once every quest is mastered, rotate through the full list again.
+    const candidates = unmastered.length > 0 ? unmastered : allQuests;
+
+    const achievable = candidates.filter(q => isAchievable(q, difficulty));
+    const [guaranteed] = weightedSample(
+        achievable.length > 0 ? achievable : allQuests.filter(q => isAchievable(q, difficulty)),
+        1,
+        rng
+    );
+    if (!guaranteed) return weightedSample(candidates, count, rng);
+
+    const rest = weightedSample(candidates.filter(q => q.id !== guaranteed.id), count - 1, rng);
+    return [guaranteed, ...rest];
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time.
+ */
+function formatDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Gets the quest set for a calendar day. Everyone with the same quest data gets
+ * the same set on the same date.
+ * @param {Date} [date] - The day to get quests for. Defaults to today.
+ * @param {number} [count] - The number of quests in the set.
+ * @returns {Array<object>} The quest definitions.
+ */
+function getDailyQuests(date = new Date(), count = ROTATION.questsPerRound) {
+    const rng = random.createSeeded(random.hashString(`daily:${formatDate(date)}`));
+    return weightedSample(allQuests, count, rng);
+}
+
+/**
+ * Gets the quest set for a calendar week (weeks start on Monday).
+ * @param {Date} [date] - Any day in the week. Defaults to today.
+ * @param {number} [count] - The number of quests in the set.
+ * @returns {Array<object>} The quest definitions.
+ */
+function getWeeklyQuests(date = new Date(), count = ROTATION.questsPerRound) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+    const rng = random.createSeeded(random.hashString(`weekly:${formatDate(monday)}`));
+    return weightedSample(allQuests, count, rng);
+}
+
+/**
+ * Resets active quests for a new game.
+ * @param {object} [options]
+ * @param {string} [options.questSet] - 'random' (default), 'daily', 'weekly', or 'challenge' for a
+ *   random set that is the same for every player with the same seed.
+ * @param {string} [options.difficulty] - The selected difficulty, used by the random rotation.
+ * @param {number | null} [options.seed] - Seeds the random and challenge sets.
+ * @param {number} [options.count] - The number of quests to activate for the round.
+ * @param {Array<object>} [options.quests] - Quests to activate instead of a quest set (e.g. a campaign
+ *   stage's), already checked with validateQuests(). Their completions are not recorded.
  */
-function reset(count = 3) {
-    // Simple selection: take the first `count` quests that are not completed.
-    // A more advanced implementation could be random.
-    activeQuests = allQuests.slice(0, count).map(q => ({ ...q, completed: false, progress: 0 }));
+function reset({ questSet = 'random', difficulty = 'normal', seed = null, count = ROTATION.questsPerRound, quests: fixedQuests = null } = {}) {
+    const rng = seed == null ? Math.random : random.createSeeded(seed);
+    let quests;
+    if (fixedQuests) {
+        quests = fixedQuests;
+    } else if (questSet === 'daily') {
+        quests = getDailyQuests(new Date(), count);
+    } else if (questSet === 'weekly') {
+        quests = getWeeklyQuests(new Date(), count);
+    } else if (questSet === 'challenge') {
+        quests = drawRandomSet(count, difficulty, { rng, skipMastered: false });
+    } else {
+        quests = drawRandomSet(count, difficulty, { rng });
+    }
+    activeQuests = quests.map(q => ({ ...q, completed: false, progress: 0, target: q.goal.count || 1, eventTimes: [] }));
+    recordsCompletions = !fixedQuests && questSet !== 'challenge';
 }
 
 /**
- * Checks game events and stats against active quest conditions.
- * @param {string} eventType - The type of event (e.g., 'phrase_complete', 'stat_update').
- * @param {object} data - The data associated with the event.
- * @returns {Array<object>} A list of newly completed quests.
+ * Checks a game event against the goals of the active quests.
+ * @param {string} eventType - The event, e.g. 'phrase_complete' (see questConditions.js for events and their stats).
+ * @param {object} stats - The event's stats.
+ * @returns {object} { completed, changed }: the newly completed quests, and whether any
+ *   quest's progress changed (so the quest list needs redrawing).
  */
-function check(eventType, data) {
+function check(eventType, stats) {
     const newlyCompletedQuests = [];
+    let changed = false;
 
     activeQuests.forEach(quest => {
-        if (quest.completed) return;
-
-        let questCompleted = false;
-        switch (quest.type) {
-            case 'no_miss':
-                if (eventType === 'phrase_complete' && data.misses === 0) {
-                    quest.progress = (quest.progress || 0) + 1;
-                    if(quest.progress >= quest.condition.count) questCompleted = true;
-                }
-                break;
-            
-            case 'combo':
-                if (eventType === 'stat_update' && data.combo >= quest.condition.target) {
-                    questCompleted = true;
-                }
-                break;
-
-            case 'phrases_completed':
-                if (eventType === 'phrase_complete') {
-                    quest.progress = (quest.progress || 0) + 1;
-                    if (quest.progress >= quest.condition.count) questCompleted = true;
-                }
-                break;
-
-            case 'accuracy':
-                if (eventType === 'game_end' && data.accuracy >= quest.condition.target) {
-                    questCompleted = true;
-                }
-                break;
-
-            case 'difficulty_specific':
-                if (eventType === 'game_end' && data.difficulty === quest.condition.difficulty) {
-                    questCompleted = true;
-                }
-                break;
-
-            case 'special_chars':
-                if (eventType === 'phrase_start') {
-                    const hasSpecialChar = quest.condition.chars.some(char => data.text.includes(char));
-                    if (hasSpecialChar) {
-                        questCompleted = true;
-                    }
-                }
-                break;
+        const { goal } = quest;
+        if (quest.completed || goal.on !== eventType) return;
+        const previousProgress = quest.progress;
+
+        if (questConditions.matches(goal, stats)) {
+            if (goal.within) {
+                // Sliding window of matching events within the last `within` seconds.
+                const windowStart = stats.time - goal.within * 1000;
+                quest.eventTimes = [...quest.eventTimes.filter(t => t > windowStart), stats.time];
+                quest.progress = quest.eventTimes.length;
+            } else {
+                quest.progress++;
+            }
+        } else if (goal.streak) {
+            quest.progress = 0;
+            quest.eventTimes = [];
         }
 
-        if (questCompleted) {
+        if (quest.progress !== previousProgress) changed = true;
+        if (quest.progress >= quest.target) {
             quest.completed = true;
+            if (recordsCompletions) storageManager.recordQuestCompletion(quest.id);
             newlyCompletedQuests.push(quest);
+            changed = true;
         }
     });
 
-    return newlyCompletedQuests;
+    return { completed: newlyCompletedQuests, changed };
 }
 
 /**
  * Gets the current state of active quests.
- * @returns {Array<object>} The list of active quests.
+ * @returns {Array<object>} The list of active quests, each with completed, progress and
+ *   target (the number of matching events its goal needs).
  */
 function getActiveQuests() {
     return activeQuests;
 }
 
+/**
+ * Gets all loaded quest definitions.
+ * @returns {Array<object>} The quest definitions.
+ */
+function getAllQuests() {
+    return allQuests;
+}
+
 export const questsManager = {
     init,
+    validateQuests,
     reset,
     check,
     getActiveQuests,
+    getAllQuests,
+    getDailyQuests,
+    getWeeklyQuests,
 };
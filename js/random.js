@@ -0,0 +1,41 @@
+/**
+ * random.js
+ *
+ * Small helpers for seeded pseudo-random numbers, so that selections derived
+ * from the same seed (e.g. a calendar date) are identical on every machine.
+ */
+
+/**
+ * Hashes a string into a 32-bit unsigned integer seed (FNV-1a).
+ * @param {string} text - The text to hash.
+ * @returns {number} The seed.
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32).
+ * @param {number} seed - A 32-bit integer seed.
+ * @returns {function(): number} A function returning floats in [0, 1), like Math.random.
+ */
+function createSeeded(seed) {
+    let value = seed >>> 0;
+    return function next() {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export const random = {
+    hashString,
+    createSeeded,
+};
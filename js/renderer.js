@@ -5,97 +5,342 @@
  * This keeps rendering logic separate from the main game state management.
  */
 
+import { syntaxHighlighter } from './syntaxHighlighter.js';
+
 const elements = {
     messages: document.getElementById('messages'),
     userInput: document.getElementById('user-input-display'),
     hiddenInput: document.getElementById('hidden-input'),
     timer: document.getElementById('timer'),
+    timerLabel: document.getElementById('timer-label'),
+    endRoundButton: document.getElementById('end-round-button'),
+    phraseCount: document.getElementById('phrase-count'),
+    timeLimitOption: document.getElementById('time-limit-option'),
+    indentOption: document.getElementById('indent-option'),
+    challengeBanner: document.getElementById('challenge-banner'),
+    challengeDescription: document.getElementById('challenge-description'),
+    challengeLockedSelects: ['pack-select', 'mode-select', 'time-limit-select', 'ghost-select', 'difficulty-select']
+        .map(id => document.getElementById(id)),
     score: document.getElementById('score'),
     missCount: document.getElementById('miss-count'),
     comboCount: document.getElementById('combo-count'),
+    liveWpm: document.getElementById('live-wpm'),
+    liveAccuracy: document.getElementById('live-accuracy'),
     questList: document.getElementById('quest-list'),
     startScreen: document.getElementById('start-screen'),
     // Results Screen elements
     resultsScreen: document.getElementById('results-screen'),
     resultsScore: document.getElementById('results-score'),
+    scoreBreakdown: document.getElementById('score-breakdown'),
     resultsAccuracy: document.getElementById('results-accuracy'),
     resultsWpm: document.getElementById('results-wpm'),
+    resultsMode: document.getElementById('results-mode'),
     resultsChart: document.getElementById('results-chart'),
+    resultsKeyAnalysis: document.getElementById('results-key-analysis'),
+    phraseBreakdownBody: document.getElementById('phrase-breakdown-body'),
+    phraseBreakdownEmpty: document.getElementById('phrase-breakdown-empty'),
+    resultsChallengeCode: document.getElementById('results-challenge-code'),
+    copyChallengeButton: document.getElementById('copy-challenge-button'),
+    historyKeyAnalysis: document.getElementById('history-key-analysis'),
+    trainingProgressBody: document.getElementById('training-progress-body'),
+    ghostPanel: document.getElementById('ghost-panel'),
+    ghostStatus: document.getElementById('ghost-status'),
+    racePanel: document.getElementById('race-panel'),
+    raceProgressList: document.getElementById('race-progress-list'),
+    raceConnect: document.getElementById('race-connect'),
+    raceRoom: document.getElementById('race-room'),
+    raceRoomInfo: document.getElementById('race-room-info'),
+    racePlayerList: document.getElementById('race-player-list'),
+    raceStartButton: document.getElementById('race-start-button'),
+    countdownOverlay: document.getElementById('countdown-overlay'),
+    pauseOverlay: document.getElementById('pause-overlay'),
+    pauseReason: document.getElementById('pause-reason'),
+    raceRanking: document.getElementById('race-ranking'),
+    raceRankingTitle: document.getElementById('race-ranking-title'),
+    raceRankingList: document.getElementById('race-ranking-list'),
+    raceAgainButton: document.getElementById('race-again-button'),
+    watchReplayButton: document.getElementById('watch-replay-button'),
+    replayList: document.getElementById('replay-list'),
+    replayScreen: document.getElementById('replay-screen'),
+    replayInfo: document.getElementById('replay-info'),
+    replayPhrase: document.getElementById('replay-phrase'),
+    replayInput: document.getElementById('replay-input'),
+    replayPlayButton: document.getElementById('replay-play-button'),
+    replaySeek: document.getElementById('replay-seek'),
+    replayTime: document.getElementById('replay-time'),
+    trainingProgressEmpty: document.getElementById('training-progress-empty'),
     // Settings Panel elements
     settingsButton: document.getElementById('settings-button'),
     settingsPanel: document.getElementById('settings-panel'),
     muteButton: document.getElementById('mute-button'),
     themeToggleButton: document.getElementById('theme-toggle-button'),
-    shareTwitterButton: document.getElementById('share-twitter-button'),
+    shareScreen: document.getElementById('share-screen'),
+    shareCardContainer: document.getElementById('share-card-container'),
+    shareNativeButton: document.getElementById('share-native-button'),
+    shareTargetList: document.getElementById('share-target-list'),
     historyButton: document.getElementById('history-button'),
     historyScreen: document.getElementById('history-screen'),
     historyChart: document.getElementById('history-chart'),
+    historyDifficultyFilter: document.getElementById('history-difficulty-filter'),
+    historyFromFilter: document.getElementById('history-from-filter'),
+    historyToFilter: document.getElementById('history-to-filter'),
+    historyEmpty: document.getElementById('history-empty'),
+    personalBestBody: document.getElementById('personal-best-body'),
     closeHistoryButton: document.getElementById('close-history-button'),
+    badgesButton: document.getElementById('badges-button'),
+    badgeScreen: document.getElementById('badge-screen'),
+    badgeGallery: document.getElementById('badge-gallery'),
+    toastContainer: document.getElementById('toast-container'),
+    packSelect: document.getElementById('pack-select'),
+    difficultySelect: document.getElementById('difficulty-select'),
+    campaignScreen: document.getElementById('campaign-screen'),
+    campaignMap: document.getElementById('campaign-map'),
+    campaignMapButton: document.getElementById('campaign-map-button'),
+    profileSelect: document.getElementById('profile-select'),
+    profileScreen: document.getElementById('profile-screen'),
+    profileList: document.getElementById('profile-list'),
+    profileNameInput: document.getElementById('profile-name-input'),
+    leaderboardBody: document.getElementById('leaderboard-body'),
+    packEditorScreen: document.getElementById('pack-editor-screen'),
+    customPackList: document.getElementById('custom-pack-list'),
+    packNameInput: document.getElementById('pack-name-input'),
+    packTextInput: document.getElementById('pack-text-input'),
+    packValidation: document.getElementById('pack-validation'),
+    importScreen: document.getElementById('import-screen'),
+    importPreview: document.getElementById('import-preview'),
+    importActions: document.getElementById('import-actions'),
 };
 
 /**
  * Renders a new phrase to be typed in the chat pane.
  * @param {string} text - The phrase text.
+ * @param {object} [reading] - For Japanese phrases: { kana, romaji } shown under the text.
  */
-function renderNewPhrase(text) {
+function renderNewPhrase(text, reading) {
     const systemBubble = document.createElement('div');
     systemBubble.className = 'system-bubble';
     systemBubble.innerHTML = text.split('').map((char, index) => {
-        return `<span class="char" data-index="${index}">${char}</span>`;
+        return `<span class="char" data-index="${index}">${escapeHtml(char)}</span>`;
+    }).join('');
+    if (reading) {
+        const kana = document.createElement('div');
+        kana.className = 'kana-reading';
+        kana.textContent = reading.kana;
+        const romajiGuide = document.createElement('div');
+        romajiGuide.className = 'romaji-guide';
+        systemBubble.append(kana, romajiGuide);
+        renderRomajiGuide(romajiGuide, reading.romaji, 0);
+    }
+    elements.messages.appendChild(systemBubble);
+    elements.messages.scrollTop = elements.messages.scrollHeight;
+}
+
+/**
+ * Renders a multi-line code snippet from the system, syntax highlighted one
+ * character at a time so typing progress can be marked with updateCodeProgress().
+ * @param {string} text - The snippet.
+ * @param {string} language - The snippet's language, e.g. 'python'.
+ */
+function renderCodePhrase(text, language) {
+    const types = syntaxHighlighter.classifyCharacters(text, language);
+    const systemBubble = document.createElement('div');
+    systemBubble.className = 'system-bubble';
+    const code = document.createElement('pre');
+    code.className = 'code-block';
+    code.dataset.language = language;
+    code.innerHTML = text.split('').map((char, index) => {
+        return `<span class="char tok-${types[index]}" data-index="${index}">${displayChar(char)}</span>`;
     }).join('');
+    systemBubble.appendChild(code);
     elements.messages.appendChild(systemBubble);
     elements.messages.scrollTop = elements.messages.scrollHeight;
 }
 
+/**
+ * Marks each character of the current code snippet as correct, incorrect or next to type.
+ * @param {string} phraseText - The snippet.
+ * @param {string} typedText - The text the user has typed so far.
+ */
+function updateCodeProgress(phraseText, typedText) {
+    const blocks = elements.messages.querySelectorAll('.code-block');
+    const block = blocks[blocks.length - 1];
+    if (!block) return;
+    block.querySelectorAll('.char').forEach((span, index) => {
+        const isTyped = index < typedText.length;
+        span.classList.toggle('correct', isTyped && typedText[index] === phraseText[index]);
+        span.classList.toggle('incorrect', isTyped && typedText[index] !== phraseText[index]);
+        span.classList.toggle('current', index === typedText.length);
+    });
+}
+
+/**
+ * Escapes a character for use in innerHTML.
+ */
+function escapeHtml(char) {
+    return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char] || char;
+}
+
+/**
+ * Escapes a character for display, showing newlines as a visible return mark.
+ */
+function displayChar(char) {
+    return char === '\n' ? '↵\n' : escapeHtml(char);
+}
+
+/**
+ * Fills a romaji guide element, marking the typed part as correct.
+ */
+function renderRomajiGuide(guide, romajiText, typedLength) {
+    guide.innerHTML = romajiText.split('').map((char, index) => {
+        const status = index < typedLength ? 'correct' : '';
+        return `<span class="char ${status}">${char}</span>`;
+    }).join('');
+}
+
+/**
+ * Updates the romaji guide of the current phrase, e.g. after the player picks
+ * an alternate spelling.
+ * @param {string} romajiText - The suggested romaji for the whole phrase.
+ * @param {number} typedLength - How many characters have been typed.
+ */
+function updateRomajiGuide(romajiText, typedLength) {
+    const guides = elements.messages.querySelectorAll('.romaji-guide');
+    const guide = guides[guides.length - 1];
+    if (guide) renderRomajiGuide(guide, romajiText, typedLength);
+}
+
 /**
  * Renders a successfully typed user message in the chat pane.
  * @param {string} text - The user's typed text.
+ * @param {object} [options]
+ * @param {boolean} [options.code] - Whether the text is a code snippet (keeps line breaks and indentation).
  */
-function renderUserMessage(text) {
+function renderUserMessage(text, { code = false } = {}) {
     const userBubble = document.createElement('div');
-    userBubble.className = 'user-bubble';
+    userBubble.className = code ? 'user-bubble code-input' : 'user-bubble';
     userBubble.textContent = text;
     elements.messages.appendChild(userBubble);
     elements.messages.scrollTop = elements.messages.scrollHeight;
 }
 
+/**
+ * Renders an informational notice (e.g. about the phrase pool) in the chat pane.
+ * @param {string} text - The notice text.
+ */
+function renderNotice(text) {
+    const notice = document.createElement('div');
+    notice.className = 'notice-bubble';
+    notice.textContent = text;
+    elements.messages.appendChild(notice);
+    elements.messages.scrollTop = elements.messages.scrollHeight;
+}
+
 /**
  * Updates the user's input display, showing correct/incorrect characters.
  * @param {string} phraseText - The original phrase.
  * @param {string} typedText - The text the user has typed so far.
  */
 function updateInputDisplay(phraseText, typedText) {
+    elements.userInput.innerHTML = typedHtml(phraseText, typedText) + '<span class="cursor">_</span>';
+}
+
+/**
+ * Builds the markup for typed text, marking each character correct or incorrect.
+ * @param {string} phraseText - The original phrase.
+ * @param {string} typedText - The typed text.
+ * @returns {string} The HTML.
+ */
+function typedHtml(phraseText, typedText) {
     const phraseChars = phraseText.split('');
-    const typedChars = typedText.split('');
-    let html = typedChars.map((char, index) => {
+    return typedText.split('').map((char, index) => {
         let status = (index < phraseChars.length && char === phraseChars[index]) ? 'correct' : 'incorrect';
-        return `<span class="char ${status}">${char}</span>`;
+        return `<span class="char ${status}">${displayChar(char)}</span>`;
     }).join('');
-    html += '<span class="cursor">_</span>';
-    elements.userInput.innerHTML = html;
+}
+
+/**
+ * Switches the input display between single-line phrases and multi-line code.
+ * @param {boolean} isCode - Whether code snippets are being typed.
+ */
+function setCodeLayout(isCode) {
+    elements.userInput.parentElement.classList.toggle('code-input', isCode);
 }
 
 function clearInputDisplay() {
     elements.userInput.innerHTML = '<span class="cursor">_</span>';
 }
 
-function updateHUD({ timer, score, misses, combo }) {
+function updateHUD({ timer, score, misses, combo, phrases, liveWpm, liveAccuracy }) {
     if (timer !== undefined) elements.timer.textContent = timer;
+    if (phrases !== undefined) elements.phraseCount.textContent = phrases;
     if (score !== undefined) elements.score.textContent = score;
     if (misses !== undefined) elements.missCount.textContent = misses;
     if (combo !== undefined) elements.comboCount.textContent = combo;
+    if (liveWpm !== undefined) elements.liveWpm.textContent = liveWpm.toFixed(0);
+    if (liveAccuracy !== undefined) elements.liveAccuracy.textContent = liveAccuracy === null ? '-' : `${liveAccuracy.toFixed(0)}%`;
 }
 
+/**
+ * Renders the active quests, with progress for quests that take several events (e.g. "3/5").
+ * @param {Array<object>} quests - From questsManager.getActiveQuests().
+ */
 function renderQuests(quests) {
-    elements.questList.innerHTML = quests.map(q => 
-        `<li class="${q.completed ? 'completed' : ''}">${q.description}</li>`
-    ).join('');
+    elements.questList.innerHTML = quests.map(q => {
+        const progress = !q.completed && q.target > 1
+            ? ` <span class="quest-progress">${Math.min(q.progress, q.target)}/${q.target}</span>`
+            : '';
+        return `<li class="${q.completed ? 'completed' : ''}">${q.description}${progress}</li>`;
+    }).join('');
 }
 
 function toggleStartScreen(show) {
     elements.startScreen.style.display = show ? 'flex' : 'none';
 }
 
+/**
+ * Sets the heading of the timer panel (e.g. "Timer" or "Elapsed").
+ * @param {string} text - The label text.
+ */
+function setTimerLabel(text) {
+    elements.timerLabel.textContent = text;
+}
+
+/**
+ * Shows or hides the "End Round" button used by modes that end on demand.
+ * @param {boolean} show - Whether to show the button.
+ */
+function toggleEndRoundButton(show) {
+    elements.endRoundButton.classList.toggle('hidden', !show);
+}
+
+/**
+ * Shows or hides the time limit picker on the start screen.
+ * @param {boolean} show - Whether to show the picker.
+ */
+function toggleTimeLimitOption(show) {
+    elements.timeLimitOption.classList.toggle('hidden', !show);
+}
+
+/**
+ * Shows or hides the indentation picker on the start screen (code packs only).
+ * @param {boolean} show - Whether to show the picker.
+ */
+function toggleIndentOption(show) {
+    elements.indentOption.classList.toggle('hidden', !show);
+}
+
+/**
+ * Shows the active challenge on the start screen, locking the settings it decides.
+ * @param {string | null} description - The challenge description, or null to clear it.
+ */
+function showChallengeBanner(description) {
+    elements.challengeBanner.classList.toggle('hidden', !description);
+    elements.challengeDescription.textContent = description || '';
+    elements.challengeLockedSelects.forEach(select => {
+        select.disabled = Boolean(description);
+    });
+}
+
 function clearMessages() {
     elements.messages.innerHTML = '';
 }
@@ -103,33 +348,78 @@ function clearMessages() {
 let chartInstance = null;
 
 /**
- * Renders a chart with the game results.
- * @param {object} stats - { score, accuracy, wpm }
+ * Interpolates the rolling WPM at a time between samples, for placing event markers on the line.
  */
-function renderResultsChart({ accuracy, wpm }) {
+function wpmAt(samples, time) {
+    const next = samples.findIndex(s => s.time >= time);
+    if (next === -1) return samples.at(-1)?.rollingWpm || 0;
+    if (next === 0) return samples[0].rollingWpm;
+    const before = samples[next - 1];
+    const after = samples[next];
+    if (after.time === before.time) return after.rollingWpm;
+    const fraction = (time - before.time) / (after.time - before.time);
+    return before.rollingWpm + (after.rollingWpm - before.rollingWpm) * fraction;
+}
+
+/**
+ * Renders a chart of WPM over the round, with markers where misses and quest completions happened.
+ * @param {object} timeline - The round's timeline (see roundTimeline.js).
+ */
+function renderResultsChart({ samples, events }) {
     const ctx = elements.resultsChart.getContext('2d');
 
     if (chartInstance) {
         chartInstance.destroy(); // Destroy existing chart before creating a new one
     }
 
+    const toSeconds = time => Math.round(time / 100) / 10;
+    const markers = type => events.filter(e => e.type === type).map(e => ({
+        x: toSeconds(e.time),
+        y: wpmAt(samples, e.time),
+        label: e.label,
+    }));
+
     chartInstance = new Chart(ctx, {
-        type: 'bar',
+        type: 'line',
         data: {
-            labels: ['WPM', 'Accuracy'],
-            datasets: [{
-                label: 'Your Performance',
-                data: [wpm, accuracy],
-                backgroundColor: [
-                    'rgba(0, 255, 209, 0.6)', // Neon for WPM
-                    'rgba(124, 255, 0, 0.6)'  // Accent for Accuracy
-                ],
-                borderColor: [
-                    'rgba(0, 255, 209, 1)',
-                    'rgba(124, 255, 0, 1)'
-                ],
-                borderWidth: 1
-            }]
+            datasets: [
+                {
+                    label: 'WPM (last 10s)',
+                    data: samples.map(s => ({ x: toSeconds(s.time), y: s.rollingWpm })),
+                    borderColor: 'rgba(0, 255, 209, 1)',
+                    backgroundColor: 'rgba(0, 255, 209, 0.2)',
+                    pointRadius: 0,
+                    tension: 0.3,
+                    fill: true,
+                },
+                {
+                    label: 'WPM (average)',
+                    data: samples.map(s => ({ x: toSeconds(s.time), y: s.wpm })),
+                    borderColor: 'rgba(124, 255, 0, 0.8)',
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    tension: 0.3,
+                    fill: false,
+                },
+                {
+                    label: 'Misses',
+                    data: markers('miss'),
+                    showLine: false,
+                    pointStyle: 'crossRot',
+                    pointRadius: 6,
+                    borderColor: 'rgba(255, 92, 92, 1)',
+                    borderWidth: 2,
+                },
+                {
+                    label: 'Quests',
+                    data: markers('quest'),
+                    showLine: false,
+                    pointStyle: 'star',
+                    pointRadius: 8,
+                    borderColor: 'rgba(255, 215, 0, 1)',
+                    borderWidth: 2,
+                },
+            ]
         },
         options: {
             responsive: true,
@@ -145,6 +435,13 @@ function renderResultsChart({ accuracy, wpm }) {
                     }
                 },
                 x: {
+                    type: 'linear',
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Seconds',
+                        color: 'var(--text)'
+                    },
                     grid: {
                         color: 'rgba(255, 255, 255, 0.1)'
                     },
@@ -155,19 +452,16 @@ function renderResultsChart({ accuracy, wpm }) {
             },
             plugins: {
                 legend: {
-                    display: false
+                    labels: {
+                        color: 'var(--text)'
+                    }
                 },
                 tooltip: {
                     callbacks: {
                         label: function(context) {
-                            let label = context.dataset.label || '';
-                            if (label) {
-                                label += ': ';
-                            }
-                            if (context.parsed.y !== null) {
-                                label += context.parsed.y + (context.label === 'Accuracy' ? '%' : '');
-                            }
-                            return label;
+                            const { label } = context.raw;
+                            if (label) return `Quest: ${label}`;
+                            return `${context.dataset.label}: ${context.parsed.y.toFixed(1)} WPM at ${context.parsed.x}s`;
                         }
                     }
                 }
@@ -176,15 +470,64 @@ function renderResultsChart({ accuracy, wpm }) {
     });
 }
 
+/**
+ * Renders a row for each phrase completed this round.
+ * @param {Array<object>} phrases - [{ text, duration, wpm, misses, score }] from the round's timeline.
+ */
+function renderPhraseBreakdown(phrases) {
+    elements.phraseBreakdownEmpty.classList.toggle('hidden', phrases.length > 0);
+    elements.phraseBreakdownBody.innerHTML = '';
+    phrases.forEach((phrase, index) => {
+        const row = document.createElement('tr');
+        const lines = phrase.text.split('\n');
+        [
+            index + 1,
+            lines.length > 1 ? `${lines[0]} …` : phrase.text,
+            `${(phrase.duration / 1000).toFixed(1)}s`,
+            phrase.wpm.toFixed(1),
+            phrase.misses,
+            Math.round(phrase.score),
+        ].forEach((value, column) => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            if (column === 1) cell.title = phrase.text; // Code snippets only show their first line
+            row.appendChild(cell);
+        });
+        elements.phraseBreakdownBody.appendChild(row);
+    });
+}
+
+/**
+ * Renders where the round's points came from, one line per breakdown item.
+ * @param {Array<object>} items - [{ id, label, points }] from scoring.summarize().
+ */
+function renderScoreBreakdown(items) {
+    elements.scoreBreakdown.innerHTML = '';
+    items.filter(item => item.points !== 0).forEach(item => {
+        const line = document.createElement('li');
+        line.className = item.points < 0 ? 'negative' : '';
+        const label = document.createElement('span');
+        label.textContent = item.label;
+        const points = document.createElement('span');
+        points.textContent = item.points > 0 ? `+${item.points}` : String(item.points);
+        line.append(label, points);
+        elements.scoreBreakdown.appendChild(line);
+    });
+}
+
 /**
  * Displays the results screen with final stats.
- * @param {object} stats - { score, accuracy, wpm }
+ * @param {object} stats - { score, accuracy, wpm, mode, timeline, breakdown } with the round's timeline
+ *   from roundTimeline.js and its score breakdown from scoring.summarize().
  */
-function displayResults({ score, accuracy, wpm }) {
+function displayResults({ score, accuracy, wpm, mode, timeline, breakdown }) {
+    elements.resultsMode.textContent = mode;
     elements.resultsScore.textContent = score;
+    renderScoreBreakdown(breakdown.items);
     elements.resultsAccuracy.textContent = `${accuracy.toFixed(1)}%`;
     elements.resultsWpm.textContent = wpm.toFixed(1);
-    renderResultsChart({ accuracy, wpm }); // Render the chart
+    renderResultsChart(timeline); // Render the chart
+    renderPhraseBreakdown(timeline.phrases);
     elements.resultsScreen.style.display = 'flex';
 }
 
@@ -228,29 +571,77 @@ function toggleTheme(isLight) {
 }
 
 /**
- * Shares game results on Twitter.
- * @param {object} stats - { score, accuracy, wpm }
+ * Shows the share screen with the result card and a button for each share target.
+ * Targets that post to a player-chosen server get an address field next to their button.
+ * @param {object} options
+ * @param {HTMLCanvasElement} options.card - The result card.
+ * @param {Array<object>} options.targets - From share.getTargets().
+ * @param {boolean} options.canShareNatively - Whether to offer the browser's share sheet.
+ */
+function showShareScreen({ card, targets, canShareNatively }) {
+    elements.shareCardContainer.replaceChildren(card);
+    elements.shareNativeButton.classList.toggle('hidden', !canShareNatively);
+    elements.shareTargetList.innerHTML = '';
+    targets.forEach(target => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.textContent = target.label;
+        button.dataset.shareTarget = target.id;
+        item.appendChild(button);
+        if (target.needsInstance) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'share-instance';
+            input.placeholder = `${target.label} server address`;
+            input.value = target.instance || '';
+            input.dataset.shareInstance = target.id;
+            item.appendChild(input);
+        }
+        elements.shareTargetList.appendChild(item);
+    });
+    elements.shareScreen.classList.remove('hidden');
+}
+
+/**
+ * Gets the server typed next to a share target's button.
+ * @param {string} targetId - The target id.
+ * @returns {string} The typed address, or '' if the target has no address field.
  */
-function shareOnTwitter({ score, accuracy, wpm }) {
-    const text = `I scored ${score} points with ${accuracy.toFixed(1)}% accuracy and ${wpm.toFixed(1)} WPM in AncientTech Typing Game! Can you beat my score? #AncientTechTypingGame`;
-    const url = `https://twitter.com/intent/tweet?text=${encodeURIComponent(text)}&url=${encodeURIComponent(window.location.href)}`;
-    window.open(url, '_blank');
+function getShareInstance(targetId) {
+    const input = [...elements.shareTargetList.querySelectorAll('.share-instance')]
+        .find(field => field.dataset.shareInstance === targetId);
+    return input ? input.value : '';
+}
+
+/**
+ * Hides the share screen.
+ */
+function hideShareScreen() {
+    elements.shareScreen.classList.add('hidden');
 }
 
 let historyChartInstance = null;
 
 /**
  * Renders a line chart with historical game results.
- * @param {Array<object>} results - An array of historical game results.
+ * @param {Array<object>} results - An array of historical game results, oldest first.
+ * @param {object} averages - Rolling averages aligned with results: { wpm, accuracy }.
  */
-function renderHistoricalChart(results) {
+function renderHistoricalChart(results, averages) {
     const ctx = elements.historyChart.getContext('2d');
 
     if (historyChartInstance) {
         historyChartInstance.destroy();
     }
 
-    const labels = results.map((_, index) => `Game ${index + 1}`);
+    elements.historyEmpty.classList.toggle('hidden', results.length > 0);
+
+    const labels = results.map(r => new Date(r.timestamp).toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    }));
     const wpmData = results.map(r => r.wpm);
     const accuracyData = results.map(r => r.accuracy);
 
@@ -274,6 +665,24 @@ function renderHistoricalChart(results) {
                     backgroundColor: 'rgba(124, 255, 0, 0.2)',
                     tension: 0.3,
                     fill: true,
+                },
+                {
+                    label: 'WPM (avg)',
+                    data: averages.wpm,
+                    borderColor: 'rgba(0, 255, 209, 0.8)',
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    tension: 0.3,
+                    fill: false,
+                },
+                {
+                    label: 'Accuracy (avg)',
+                    data: averages.accuracy,
+                    borderColor: 'rgba(124, 255, 0, 0.8)',
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    tension: 0.3,
+                    fill: false,
                 }
             ]
         },
@@ -313,9 +722,14 @@ function renderHistoricalChart(results) {
                                 label += ': ';
                             }
                             if (context.parsed.y !== null) {
-                                label += context.parsed.y + (context.dataset.label === 'Accuracy' ? '%' : '');
+                                label += context.parsed.y.toFixed(1) + (context.dataset.label.startsWith('Accuracy') ? '%' : '');
                             }
                             return label;
+                        },
+                        afterBody: function(items) {
+                            const result = results[items[0].dataIndex];
+                            if (!result?.difficulty) return '';
+                            return `${result.difficulty.toUpperCase()} / ${result.mode || 'timed'}`;
                         }
                     }
                 }
@@ -324,6 +738,348 @@ function renderHistoricalChart(results) {
     });
 }
 
+/**
+ * Gets the current history screen filter values.
+ * @returns {{ difficulty: string, from: string, to: string }}
+ */
+function getHistoryFilters() {
+    return {
+        difficulty: elements.historyDifficultyFilter.value,
+        from: elements.historyFromFilter.value,
+        to: elements.historyToFilter.value,
+    };
+}
+
+/**
+ * Renders the personal-best table on the history screen.
+ * @param {Array<object>} bests - [{ difficulty, games, score, wpm, accuracy, maxCombo }]
+ */
+function renderPersonalBests(bests) {
+    elements.personalBestBody.innerHTML = '';
+    bests.forEach(best => {
+        const row = document.createElement('tr');
+        [
+            best.difficulty.toUpperCase(),
+            best.games,
+            best.score,
+            best.wpm.toFixed(1),
+            `${best.accuracy.toFixed(1)}%`,
+            best.maxCombo,
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        elements.personalBestBody.appendChild(row);
+    });
+}
+
+// US keyboard rows for the heatmap. Multi-letter names are special keys.
+const KEYBOARD_ROWS = [
+    ['`', '1', '2', '3', '4', '5', '6', '7', '8', '9', '0', '-', '='],
+    ['tab', 'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']', '\\'],
+    ['a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', "'", 'enter'],
+    ['z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/'],
+    ['space'],
+];
+
+const HEATMAP_MAX_ERROR_RATE = 0.2; // Error rate shown at full color
+
+/**
+ * Formats a character for display in the confused pairs list.
+ */
+function describeChar(char) {
+    return { ' ': '␣ (space)', '\n': '↵ (enter)', '\t': '⇥ (tab)' }[char] || char;
+}
+
+/**
+ * Renders a keyboard heatmap of error rates (key color) and slow keys (outline),
+ * followed by the most confused character pairs.
+ * @param {string} target - 'results' for the last round or 'history' for all games.
+ * @param {object} analysis
+ * @param {object} analysis.keys - Per-key summary from keyStats.summarizeKeys().
+ * @param {Array<object>} analysis.confusions - Pairs from keyStats.topConfusions().
+ */
+function renderKeyAnalysis(target, { keys, confusions }) {
+    const container = target === 'history' ? elements.historyKeyAnalysis : elements.resultsKeyAnalysis;
+    container.innerHTML = '';
+
+    const keyboard = document.createElement('div');
+    keyboard.className = 'keyboard';
+    KEYBOARD_ROWS.forEach(row => {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'keyboard-row';
+        row.forEach(id => {
+            const stats = keys[id];
+            const key = document.createElement('div');
+            key.className = `key${id.length > 1 ? ` key-${id}` : ''}${stats ? '' : ' unused'}${stats?.slow ? ' slow' : ''}`;
+            key.textContent = id.length > 1 ? id.toUpperCase() : id;
+            if (stats) {
+                const intensity = Math.min(1, stats.errorRate / HEATMAP_MAX_ERROR_RATE);
+                key.style.backgroundColor = `rgba(255, 92, 92, ${(0.1 + intensity * 0.75).toFixed(2)})`;
+                const latency = stats.avgLatency === null ? '-' : `${Math.round(stats.avgLatency)} ms`;
+                key.title = `${stats.misses}/${stats.presses} missed (${(stats.errorRate * 100).toFixed(1)}%), avg ${latency}`;
+            }
+            rowElement.appendChild(key);
+        });
+        keyboard.appendChild(rowElement);
+    });
+
+    const legend = document.createElement('p');
+    legend.className = 'key-legend';
+    legend.textContent = 'Redder keys are missed more often; outlined keys are slow.';
+
+    const confusionList = document.createElement('ul');
+    confusionList.className = 'confusion-list';
+    if (confusions.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No mistakes recorded.';
+        confusionList.appendChild(item);
+    }
+    confusions.forEach(({ expected, typed, count }) => {
+        const item = document.createElement('li');
+        item.textContent = `Typed ${describeChar(typed)} for ${describeChar(expected)} × ${count}`;
+        confusionList.appendChild(item);
+    });
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Most Confused Keys';
+    container.append(keyboard, legend, heading, confusionList);
+}
+
+/**
+ * Renders the weak-key training progress table, comparing each target's error
+ * rate and speed when it was first targeted with its recent rounds.
+ * @param {Array<object>} rows - From weakKeyTrainer.summarizeProgress().
+ */
+function renderTrainingProgress(rows) {
+    const percent = rate => `${(rate * 100).toFixed(1)}%`;
+    const ms = latency => (latency === null ? '-' : `${Math.round(latency)} ms`);
+    elements.trainingProgressEmpty.classList.toggle('hidden', rows.length > 0);
+    elements.trainingProgressBody.innerHTML = '';
+    rows.forEach(row => {
+        const tableRow = document.createElement('tr');
+        [
+            row.kind === 'bigram' ? `"${row.id}"` : describeChar(row.id),
+            row.rounds,
+            `${percent(row.baselineErrorRate)} → ${percent(row.recentErrorRate)}`,
+            `${ms(row.baselineLatency)} → ${ms(row.recentLatency)}`,
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            tableRow.appendChild(cell);
+        });
+        tableRow.classList.toggle('improved', row.recentErrorRate < row.baselineErrorRate);
+        elements.trainingProgressBody.appendChild(tableRow);
+    });
+}
+
+/**
+ * Shows or hides the ghost panel in the HUD.
+ * @param {boolean} show - Whether a ghost is being raced.
+ */
+function toggleGhostPanel(show) {
+    elements.ghostPanel.classList.toggle('hidden', !show);
+    elements.ghostStatus.textContent = 'Waiting for you';
+}
+
+/**
+ * Moves the ghost cursor in the current phrase and updates the ghost panel.
+ * @param {object} ghost
+ * @param {number | null} ghost.charIndex - Characters the ghost has typed, when it is on the player's phrase.
+ * @param {number} ghost.phraseDelta - Phrases the ghost is ahead (negative when behind).
+ */
+function updateGhost({ charIndex, phraseDelta }) {
+    const bubbles = elements.messages.querySelectorAll('.system-bubble');
+    const bubble = bubbles[bubbles.length - 1];
+    if (bubble) {
+        // Japanese phrases are typed in romaji, so the ghost follows the romaji guide.
+        const chars = (bubble.querySelector('.romaji-guide') || bubble).querySelectorAll('.char');
+        chars.forEach((span, index) => span.classList.toggle('ghost', index === charIndex));
+    }
+    const plural = count => `${count} phrase${count === 1 ? '' : 's'}`;
+    if (phraseDelta > 0) elements.ghostStatus.textContent = `${plural(phraseDelta)} ahead`;
+    else if (phraseDelta < 0) elements.ghostStatus.textContent = `${plural(-phraseDelta)} behind`;
+    else elements.ghostStatus.textContent = 'Same phrase';
+}
+
+/**
+ * Shows the race lobby: the connect form when not in a room, otherwise the room and its players.
+ * @param {object | null} room - From multiplayer.getRoom(), or null when not in a room.
+ */
+function renderRaceRoom(room) {
+    elements.raceConnect.classList.toggle('hidden', Boolean(room));
+    elements.raceRoom.classList.toggle('hidden', !room);
+    elements.racePlayerList.innerHTML = '';
+    if (!room) return;
+    const isHost = room.hostId === room.playerId;
+    elements.raceRoomInfo.textContent = isHost
+        ? `Room ${room.code}. Share the code, pick the settings above, then start the race.`
+        : `Room ${room.code}. Waiting for the host to start the race.`;
+    room.players.forEach(player => {
+        const item = document.createElement('li');
+        item.textContent = `${player.name}${player.id === room.hostId ? ' (host)' : ''}${player.id === room.playerId ? ' (you)' : ''}`;
+        elements.racePlayerList.appendChild(item);
+    });
+    elements.raceStartButton.disabled = !isHost;
+}
+
+/**
+ * Shows a countdown over the screen (before a race starts or a paused round resumes).
+ * @param {number | null} seconds - Seconds left, or null to hide the countdown.
+ */
+function showCountdown(seconds) {
+    elements.countdownOverlay.classList.toggle('hidden', seconds === null);
+    elements.countdownOverlay.textContent = seconds === null ? '' : String(seconds);
+}
+
+/**
+ * Shows the pause overlay.
+ * @param {string | null} reason - Why the round is paused, or null to hide the overlay.
+ */
+function showPauseOverlay(reason) {
+    elements.pauseOverlay.classList.toggle('hidden', reason === null);
+    elements.pauseReason.textContent = reason || '';
+}
+
+/**
+ * Shows or hides the race panel in the HUD.
+ * @param {boolean} show - Whether to show the panel.
+ */
+function toggleRacePanel(show) {
+    elements.racePanel.classList.toggle('hidden', !show);
+    elements.raceProgressList.innerHTML = '';
+}
+
+/**
+ * Shows every racer's progress bar and score in the HUD. Bars show the fraction of the
+ * phrase target typed, or the score relative to the leader in modes without a target.
+ * @param {Array<object>} players - [{ id, name, score, phrases, progress }]
+ * @param {number} playerId - This player's id.
+ */
+function renderRaceProgress(players, playerId) {
+    const topScore = Math.max(1, ...players.map(p => p.score));
+    elements.raceProgressList.innerHTML = '';
+    [...players].sort((a, b) => b.score - a.score).forEach(player => {
+        const item = document.createElement('li');
+        item.className = `race-racer${player.id === playerId ? ' self' : ''}`;
+        const label = document.createElement('span');
+        label.textContent = `${player.name} · ${player.score}`;
+        const bar = document.createElement('div');
+        bar.className = 'race-bar';
+        const fill = document.createElement('div');
+        fill.className = 'race-bar-fill';
+        const fraction = player.progress ?? player.score / topScore;
+        fill.style.width = `${Math.round(Math.max(0, fraction) * 100)}%`;
+        bar.appendChild(fill);
+        item.append(label, bar);
+        elements.raceProgressList.appendChild(item);
+    });
+}
+
+/**
+ * Shows the race ranking on the results screen.
+ * @param {Array<object> | null} rankings - [{ id, name, finished, score, wpm, accuracy }] in rank order,
+ *   or null to hide the ranking (rounds that weren't races).
+ * @param {object} [options]
+ * @param {boolean} [options.final] - Whether every racer has finished.
+ * @param {number} [options.playerId] - This player's id.
+ * @param {boolean} [options.isHost] - Whether this player can start the next race.
+ */
+function renderRaceRanking(rankings, { final = false, playerId = null, isHost = false } = {}) {
+    elements.raceRanking.classList.toggle('hidden', !rankings);
+    elements.raceRankingList.innerHTML = '';
+    if (!rankings) return;
+    elements.raceRankingTitle.textContent = final ? 'Race Ranking' : 'Race Ranking (waiting for other racers)';
+    rankings.forEach(racer => {
+        const item = document.createElement('li');
+        item.className = racer.id === playerId ? 'self' : '';
+        item.textContent = racer.finished
+            ? `${racer.name} · ${racer.score} pts · ${racer.wpm.toFixed(1)} WPM · ${racer.accuracy.toFixed(1)}%`
+            : `${racer.name} · still racing (${racer.score} pts)`;
+        elements.raceRankingList.appendChild(item);
+    });
+    elements.raceAgainButton.classList.toggle('hidden', !(final && isHost));
+}
+
+/**
+ * Enables or disables the results screen's replay button.
+ * @param {boolean} enabled - Whether the last round has a replay.
+ */
+function toggleWatchReplayButton(enabled) {
+    elements.watchReplayButton.disabled = !enabled;
+}
+
+/**
+ * Shows the round's challenge code on the results screen.
+ * @param {string | null} code - The code, or null if the round can't be shared.
+ */
+function renderChallengeCode(code) {
+    elements.resultsChallengeCode.textContent = code || 'Not shareable';
+    elements.resultsChallengeCode.title = code ? '' : 'Weak-keys rounds, ghost races and custom packs can\'t be shared.';
+    elements.copyChallengeButton.disabled = !code;
+}
+
+/**
+ * Lists saved replays on the history screen, each with a Watch button carrying its id.
+ * @param {Array<object>} list - Replays from replays.list().
+ */
+function renderReplayList(list) {
+    elements.replayList.innerHTML = '';
+    list.forEach(replay => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${new Date(replay.id).toLocaleString()} · ${replay.mode} · ${replay.difficulty} · ${replay.score} pts, ${replay.wpm.toFixed(1)} WPM`;
+        const button = document.createElement('button');
+        button.textContent = 'Watch';
+        button.dataset.replayId = replay.id;
+        item.append(label, button);
+        elements.replayList.appendChild(item);
+    });
+}
+
+/**
+ * Shows the replay screen.
+ * @param {object} replay - The replay being watched.
+ */
+function showReplayScreen(replay) {
+    elements.replayInfo.textContent = `${new Date(replay.id).toLocaleString()} · ${replay.score} points · ${replay.wpm.toFixed(1)} WPM · ${replay.accuracy.toFixed(1)}%`;
+    elements.replaySeek.max = replay.duration;
+    elements.replayScreen.classList.remove('hidden');
+}
+
+/**
+ * Hides the replay screen.
+ */
+function hideReplayScreen() {
+    elements.replayScreen.classList.add('hidden');
+}
+
+/**
+ * Shows one frame of a replay.
+ * @param {object} frame
+ * @param {object | null} frame.phrase - The phrase being typed.
+ * @param {string} frame.typed - The input at this point.
+ * @param {number} frame.phraseIndex - The phrase's position in the round.
+ * @param {number} frame.phraseCount - Phrases shown in the round.
+ * @param {number} frame.position - Playback position in milliseconds.
+ * @param {number} frame.duration - Replay length in milliseconds.
+ * @param {boolean} frame.isPlaying - Whether playback is running.
+ */
+function renderReplayFrame({ phrase, typed, phraseIndex, phraseCount, position, duration, isPlaying }) {
+    const text = phrase ? phrase.text : '';
+    elements.replayPhrase.textContent = phrase?.kana ? `${text} (${phrase.kana})` : text;
+    elements.replayPhrase.classList.toggle('code-block', Boolean(phrase?.lang));
+    // Japanese input is romaji, so it can't be compared with the phrase text character by character.
+    elements.replayInput.innerHTML = phrase?.kana
+        ? typed.split('').map(displayChar).join('')
+        : typedHtml(text, typed);
+    elements.replayInput.insertAdjacentHTML('beforeend', '<span class="cursor">_</span>');
+    elements.replaySeek.value = Math.round(position);
+    elements.replayTime.textContent = `${(position / 1000).toFixed(1)}s / ${(duration / 1000).toFixed(1)}s · phrase ${Math.min(phraseIndex + 1, phraseCount)}/${phraseCount}`;
+    elements.replayPlayButton.textContent = isPlaying ? 'Pause' : 'Play';
+}
+
 /**
  * Shows the historical results screen.
  */
@@ -338,22 +1094,482 @@ function hideHistoryScreen() {
     elements.historyScreen.classList.add('hidden');
 }
 
+/**
+ * Shows a short-lived toast notification over the game.
+ * @param {string} text - The toast text.
+ * @param {number} [duration] - How long to show it, in milliseconds.
+ * @param {string} [type] - 'info' or 'error'.
+ */
+function showToast(text, duration = 3000, type = 'info') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = text;
+    elements.toastContainer.appendChild(toast);
+    setTimeout(() => toast.remove(), duration);
+}
+
+/**
+ * Renders the badge gallery, showing locked badges with how to earn them.
+ * @param {Array<object>} badges - [{ name, description, earned, earnedAt, stats }]
+ */
+function renderBadgeGallery(badges) {
+    elements.badgeGallery.innerHTML = '';
+    badges.forEach(badge => {
+        const item = document.createElement('li');
+        item.className = `badge-item ${badge.earned ? 'earned' : 'locked'}`;
+
+        const name = document.createElement('strong');
+        name.textContent = badge.name;
+        const detail = document.createElement('span');
+        if (badge.earned) {
+            const date = new Date(badge.earnedAt).toLocaleDateString();
+            const stats = badge.stats
+                ? ` — ${badge.stats.difficulty.toUpperCase()}, score ${badge.stats.score}, combo ${badge.stats.combo}`
+                : '';
+            detail.textContent = `Earned ${date}${stats}`;
+        } else {
+            detail.textContent = `Locked: ${badge.description}`;
+        }
+
+        item.append(name, detail);
+        elements.badgeGallery.appendChild(item);
+    });
+}
+
+/**
+ * Shows the badge gallery screen.
+ */
+function showBadgeScreen() {
+    elements.badgeScreen.classList.remove('hidden');
+}
+
+/**
+ * Hides the badge gallery screen.
+ */
+function hideBadgeScreen() {
+    elements.badgeScreen.classList.add('hidden');
+}
+
+/**
+ * Offers text content to the player as a file download.
+ * @param {string} filename - The suggested file name.
+ * @param {string} content - The file contents.
+ * @param {string} mimeType - The MIME type, e.g. 'application/json'.
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Shows the import screen with a summary of what importing will change,
+ * or the validation errors if the file can't be imported.
+ * @param {object} preview - Result of progressTransfer.previewImport(), or null.
+ * @param {Array<string>} [errors] - Validation errors.
+ */
+function showImportPreview(preview, errors = []) {
+    const lines = errors.length > 0 ? errors : [
+        `${preview.newResults} new game record(s) (you currently have ${preview.currentResults}).`,
+        `${preview.duplicateResults} record(s) already present will be skipped when merging.`,
+        preview.newBadges.length > 0 ? `New badges: ${preview.newBadges.join(', ')}.` : 'No new badges.',
+        preview.settingsChanged ? 'Settings differ: merging keeps yours, replacing uses the file\'s.' : 'Settings are unchanged.',
+        'Replacing discards your current data in favour of the file.',
+    ];
+    elements.importPreview.innerHTML = '';
+    lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        elements.importPreview.appendChild(item);
+    });
+    elements.importPreview.classList.toggle('import-errors', errors.length > 0);
+    elements.importActions.classList.toggle('hidden', errors.length > 0);
+    elements.importScreen.classList.remove('hidden');
+}
+
+/**
+ * Hides the import screen.
+ */
+function hideImportScreen() {
+    elements.importScreen.classList.add('hidden');
+}
+
+/**
+ * Fills the phrase pack picker on the start screen.
+ * @param {Array<object>} packs - The available packs.
+ * @param {string} [selectedId] - The pack to select.
+ */
+function renderPackOptions(packs, selectedId) {
+    elements.packSelect.innerHTML = '';
+    packs.forEach(pack => {
+        const option = document.createElement('option');
+        option.value = pack.id;
+        option.textContent = `${pack.name} (${pack.phrases.length})${pack.builtIn ? '' : ' *'}`;
+        option.title = pack.description || '';
+        elements.packSelect.appendChild(option);
+    });
+    if (packs.some(p => p.id === selectedId)) {
+        elements.packSelect.value = selectedId;
+    }
+}
+
+/**
+ * Marks difficulties and phrase packs still locked by the campaign, disabling their options
+ * on the start screen and HUD. A locked selection moves to the first unlocked option.
+ * @param {object} locks - { difficulties, packs } from campaign.getLocks().
+ */
+function renderContentLocks(locks) {
+    [[elements.difficultySelect, locks.difficulties], [elements.packSelect, locks.packs]].forEach(([select, locked]) => {
+        const options = Array.from(select.options);
+        options.forEach(option => {
+            option.dataset.label ??= option.textContent;
+            option.dataset.title ??= option.title;
+            const chapter = locked[option.value];
+            option.disabled = Boolean(chapter);
+            option.textContent = chapter ? `${option.dataset.label} (LOCKED)` : option.dataset.label;
+            option.title = chapter ? `Complete ${chapter} in the campaign to unlock.` : option.dataset.title;
+        });
+        if (locked[select.value] && !select.disabled) { // Selects disabled by a challenge keep its settings
+            const unlocked = options.find(option => !option.disabled);
+            if (unlocked) select.value = unlocked.value;
+        }
+    });
+}
+
+/**
+ * Renders the campaign map: each chapter with its unlocks and stages. Playable stages get
+ * a Play button carrying the stage id in a data attribute.
+ * @param {Array<object>} chapters - From campaign.getMap().
+ * @param {object} [packNames] - Phrase pack names by id.
+ */
+function renderCampaignMap(chapters, packNames = {}) {
+    elements.campaignMap.innerHTML = '';
+    if (chapters.length === 0) {
+        const empty = document.createElement('p');
+        empty.textContent = 'The campaign is not available.';
+        elements.campaignMap.appendChild(empty);
+        return;
+    }
+    chapters.forEach(chapter => {
+        const section = document.createElement('section');
+        section.className = `campaign-chapter ${chapter.status}`;
+
+        const title = document.createElement('h3');
+        title.textContent = chapter.status === 'completed' ? `${chapter.title} ✓` : chapter.title;
+        const description = document.createElement('p');
+        description.textContent = chapter.description || '';
+        const unlocks = [
+            ...(chapter.unlocks.difficulties || []).map(d => `${d.toUpperCase()} difficulty`),
+            ...(chapter.unlocks.packs || []).map(id => `${packNames[id] || id} pack`),
+        ];
+        const reward = document.createElement('p');
+        reward.className = 'campaign-unlocks';
+        reward.textContent = unlocks.length > 0 ? `Unlocks: ${unlocks.join(', ')}` : '';
+        section.append(title, description, reward);
+
+        const stageList = document.createElement('ol');
+        stageList.className = 'campaign-stages';
+        chapter.stages.forEach(stage => {
+            const item = document.createElement('li');
+            item.className = `campaign-stage ${stage.status}`;
+            const name = document.createElement('strong');
+            name.textContent = stage.title;
+            const detail = document.createElement('span');
+            const mode = stage.mode.replace('_', ' ').toUpperCase() + (stage.mode === 'timed' ? ` ${stage.timeLimit}s` : '');
+            const settings = `${packNames[stage.pack] || stage.pack} · ${mode} · ${stage.difficulty.toUpperCase()} · ${stage.quests.length} quests`;
+            detail.textContent = stage.record ? `${settings} · Cleared with ${stage.record.score} points` : settings;
+            item.append(name, detail);
+            if (stage.status === 'locked') {
+                const lock = document.createElement('span');
+                lock.textContent = 'Locked';
+                item.appendChild(lock);
+            } else {
+                const button = document.createElement('button');
+                button.textContent = stage.status === 'completed' ? 'Replay' : 'Play';
+                button.dataset.stageId = stage.id;
+                item.appendChild(button);
+            }
+            stageList.appendChild(item);
+        });
+        section.appendChild(stageList);
+        elements.campaignMap.appendChild(section);
+    });
+}
+
+/**
+ * Shows the campaign map screen.
+ */
+function showCampaignScreen() {
+    elements.campaignScreen.classList.remove('hidden');
+}
+
+/**
+ * Hides the campaign map screen.
+ */
+function hideCampaignScreen() {
+    elements.campaignScreen.classList.add('hidden');
+}
+
+/**
+ * Shows or hides the results screen's campaign map button, shown after campaign rounds.
+ * @param {boolean} show
+ */
+function toggleCampaignMapButton(show) {
+    elements.campaignMapButton.classList.toggle('hidden', !show);
+}
+
+/**
+ * Fills the profile picker on the start screen.
+ * @param {Array<object>} profiles - From profiles.list().
+ * @param {string} activeId - The active profile's id.
+ */
+function renderProfileOptions(profiles, activeId) {
+    elements.profileSelect.innerHTML = '';
+    profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        elements.profileSelect.appendChild(option);
+    });
+    elements.profileSelect.value = activeId;
+}
+
+/**
+ * Lists the profiles on the profile screen, each with Rename and Delete buttons carrying
+ * the profile id in data attributes. A profile awaiting confirmation of its deletion
+ * shows a confirm button instead; the last profile can't be deleted.
+ * @param {Array<object>} profiles - From profiles.list().
+ * @param {string} activeId - The active profile's id.
+ * @param {string | null} [confirmDeleteId] - The profile whose Delete was pressed once.
+ */
+function renderProfileList(profiles, activeId, confirmDeleteId = null) {
+    elements.profileList.innerHTML = '';
+    profiles.forEach(profile => {
+        const item = document.createElement('li');
+        item.className = profile.id === activeId ? 'profile-item active' : 'profile-item';
+        const label = document.createElement('span');
+        label.textContent = profile.id === activeId ? `${profile.name} (playing)` : profile.name;
+        item.appendChild(label);
+        const actions = [{ action: 'rename', text: 'Rename' }];
+        if (profiles.length > 1) {
+            actions.push(profile.id === confirmDeleteId
+                ? { action: 'confirm-delete', text: 'Delete All Its Data?' }
+                : { action: 'delete', text: 'Delete' });
+        }
+        actions.forEach(({ action, text }) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.dataset.action = action;
+            button.dataset.profileId = profile.id;
+            item.appendChild(button);
+        });
+        elements.profileList.appendChild(item);
+    });
+}
+
+/**
+ * Renders the leaderboard comparing the profiles on this device.
+ * @param {Array<object>} entries - From profiles.getLeaderboard().
+ */
+function renderLeaderboard(entries) {
+    elements.leaderboardBody.innerHTML = '';
+    entries.forEach((entry, index) => {
+        const row = document.createElement('tr');
+        if (entry.active) row.className = 'active';
+        const played = entry.games > 0;
+        [
+            played ? index + 1 : '-',
+            entry.name,
+            entry.games,
+            played ? entry.score : '-',
+            played ? entry.wpm.toFixed(1) : '-',
+            played ? `${entry.accuracy.toFixed(1)}%` : '-',
+            played ? entry.maxCombo : '-',
+            entry.badges,
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+        elements.leaderboardBody.appendChild(row);
+    });
+}
+
+/**
+ * Gets the name typed on the profile screen.
+ * @returns {string}
+ */
+function getProfileNameInput() {
+    return elements.profileNameInput.value;
+}
+
+/**
+ * Shows the profile screen.
+ */
+function showProfileScreen() {
+    elements.profileNameInput.value = '';
+    elements.profileScreen.classList.remove('hidden');
+}
+
+/**
+ * Hides the profile screen.
+ */
+function hideProfileScreen() {
+    elements.profileScreen.classList.add('hidden');
+}
+
+/**
+ * Lists custom packs in the pack editor, each with Edit and Delete buttons
+ * carrying the pack id in data attributes.
+ * @param {Array<object>} packs - The custom packs.
+ */
+function renderCustomPackList(packs) {
+    elements.customPackList.innerHTML = '';
+    packs.forEach(pack => {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${pack.name} (${pack.phrases.length} phrases)`;
+        item.appendChild(label);
+        ['edit', 'delete'].forEach(action => {
+            const button = document.createElement('button');
+            button.textContent = action === 'edit' ? 'Edit' : 'Delete';
+            button.dataset.action = action;
+            button.dataset.packId = pack.id;
+            item.appendChild(button);
+        });
+        elements.customPackList.appendChild(item);
+    });
+}
+
+/**
+ * Gets the pack editor's name and text.
+ * @returns {{ name: string, text: string }}
+ */
+function getPackEditorValues() {
+    return { name: elements.packNameInput.value, text: elements.packTextInput.value };
+}
+
+/**
+ * Sets the pack editor's name and text, and clears the validation summary.
+ * @param {{ name: string, text: string }} values
+ */
+function setPackEditorValues({ name, text }) {
+    elements.packNameInput.value = name;
+    elements.packTextInput.value = text;
+    elements.packValidation.innerHTML = '';
+}
+
+/**
+ * Shows the result of validating the pack editor's text.
+ * @param {object} result - From phrasePacks.parseCustomPhrases(): { phrases, errors, duplicates }.
+ */
+function renderPackValidation({ phrases, errors, duplicates }) {
+    const counts = ['easy', 'normal', 'hard', 'lunatic']
+        .map(d => `${phrases.filter(p => p.difficulty === d).length} ${d}`)
+        .join(', ');
+    const lines = [
+        { text: `${phrases.length} phrase(s): ${counts}.` },
+        ...(duplicates > 0 ? [{ text: `${duplicates} duplicate(s) removed.` }] : []),
+        ...errors.map(text => ({ text, isError: true })),
+    ];
+    elements.packValidation.innerHTML = '';
+    lines.forEach(({ text, isError }) => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        if (isError) item.className = 'error';
+        elements.packValidation.appendChild(item);
+    });
+}
+
+/**
+ * Shows the phrase pack editor.
+ */
+function showPackEditor() {
+    elements.packEditorScreen.classList.remove('hidden');
+}
+
+/**
+ * Hides the phrase pack editor.
+ */
+function hidePackEditor() {
+    elements.packEditorScreen.classList.add('hidden');
+}
+
 export const renderer = {
     renderNewPhrase,
+    renderCodePhrase,
+    updateCodeProgress,
     renderUserMessage,
+    renderNotice,
     updateInputDisplay,
+    updateRomajiGuide,
     clearInputDisplay,
+    setCodeLayout,
     updateHUD,
     renderQuests,
     toggleStartScreen,
+    setTimerLabel,
+    toggleEndRoundButton,
+    toggleTimeLimitOption,
+    toggleIndentOption,
+    showChallengeBanner,
     clearMessages,
     displayResults,
     hideResults,
     toggleSettingsPanel,
     updateMuteButtonText,
     toggleTheme,
-    shareOnTwitter,
+    showShareScreen,
+    getShareInstance,
+    hideShareScreen,
+    renderHistoricalChart,
+    getHistoryFilters,
+    renderPersonalBests,
+    renderKeyAnalysis,
+    renderTrainingProgress,
+    toggleGhostPanel,
+    updateGhost,
+    toggleWatchReplayButton,
+    renderChallengeCode,
+    renderRaceRoom,
+    showCountdown,
+    showPauseOverlay,
+    toggleRacePanel,
+    renderRaceProgress,
+    renderRaceRanking,
+    renderReplayList,
+    showReplayScreen,
+    hideReplayScreen,
+    renderReplayFrame,
     showHistoryScreen,
     hideHistoryScreen,
+    showToast,
+    renderBadgeGallery,
+    showBadgeScreen,
+    hideBadgeScreen,
+    renderPackOptions,
+    renderContentLocks,
+    renderCampaignMap,
+    showCampaignScreen,
+    hideCampaignScreen,
+    toggleCampaignMapButton,
+    renderProfileOptions,
+    renderProfileList,
+    renderLeaderboard,
+    getProfileNameInput,
+    showProfileScreen,
+    hideProfileScreen,
+    renderCustomPackList,
+    getPackEditorValues,
+    setPackEditorValues,
+    renderPackValidation,
+    showPackEditor,
+    hidePackEditor,
+    downloadFile,
+    showImportPreview,
+    hideImportScreen,
     focusInput: () => elements.hiddenInput.focus(),
 };
@@ -0,0 +1,120 @@
+/**
+ * replayViewer.js
+ *
+ * Plays back a saved replay on the replay screen at real speed, with
+ * play/pause and seeking.
+ */
+
+import { renderer } from './renderer.js';
+import { replays } from './replays.js';
+
+const FRAME_INTERVAL = 50; // Milliseconds between playback frames
+
+let replay = null;
+let player = null;
+let position = 0; // Playback position in milliseconds
+let isPlaying = false;
+let intervalId = null;
+let lastFrameTime = 0;
+
+/**
+ * Opens the replay screen and starts playing a replay from the beginning.
+ * @param {object} savedReplay - A replay from replays.get() or replays.list().
+ */
+function open(savedReplay) {
+    pause();
+    replay = savedReplay;
+    player = replays.createPlayer(savedReplay);
+    position = 0;
+    renderer.showReplayScreen(savedReplay);
+    play();
+}
+
+/**
+ * Starts or resumes playback, restarting if the replay has ended.
+ */
+function play() {
+    if (!player || isPlaying) return;
+    if (position >= player.duration) position = 0;
+    isPlaying = true;
+    lastFrameTime = performance.now();
+    intervalId = setInterval(step, FRAME_INTERVAL);
+    render();
+}
+
+/**
+ * Pauses playback.
+ */
+function pause() {
+    clearInterval(intervalId);
+    intervalId = null;
+    isPlaying = false;
+    if (player) render();
+}
+
+/**
+ * Toggles between playing and paused.
+ */
+function togglePlay() {
+    if (isPlaying) pause();
+    else play();
+}
+
+/**
+ * Jumps to a time in the replay.
+ * @param {number} ms - Milliseconds since the round started.
+ */
+function seek(ms) {
+    if (!player) return;
+    position = Math.min(player.duration, Math.max(0, ms));
+    lastFrameTime = performance.now();
+    render();
+}
+
+/**
+ * Stops playback and closes the replay screen.
+ */
+function close() {
+    pause();
+    replay = null;
+    player = null;
+    renderer.hideReplayScreen();
+}
+
+/**
+ * Advances playback by the real time since the last frame.
+ */
+function step() {
+    const now = performance.now();
+    position += now - lastFrameTime;
+    lastFrameTime = now;
+    if (position >= player.duration) {
+        position = player.duration;
+        pause();
+        return;
+    }
+    render();
+}
+
+/**
+ * Shows the replay state at the current position.
+ */
+function render() {
+    const { phraseIndex, phrase, typed } = player.stateAt(position);
+    renderer.renderReplayFrame({
+        phrase,
+        typed,
+        phraseIndex,
+        phraseCount: replay.phrases.length,
+        position,
+        duration: player.duration,
+        isPlaying,
+    });
+}
+
+export const replayViewer = {
+    open,
+    togglePlay,
+    seek,
+    close,
+};
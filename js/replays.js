@@ -0,0 +1,195 @@
+/**
+ * replays.js
+ *
+ * Records how a round unfolds as a compact keystroke timeline, keeps the
+ * replays worth watching (recent rounds and the best run for each set of
+ * round settings) and plays them back for the replay viewer and ghost races.
+ *
+ * Timeline events, with times in milliseconds since the previous event:
+ *   [dt, deleted, inserted] - the input lost `deleted` characters from its end, then gained `inserted`
+ *   [dt]                    - the current phrase was completed
+ */
+
+import { storageManager } from './storageManager.js';
+
+const REPLAY_SETTINGS = {
+    version: 1,
+    maxRecent: 5, // Recent replays kept besides the best run for each settings key
+};
+
+let recording = null;
+
+/**
+ * Starts recording a new round.
+ */
+function start() {
+    recording = { phrases: [], events: [], lastTime: 0 };
+}
+
+/**
+ * Records a phrase being shown. Only the fields needed to show it again are kept.
+ * @param {object} phrase - The phrase.
+ */
+function recordPhrase(phrase) {
+    if (!recording) return;
+    const { id, text, kana, lang, difficulty } = phrase;
+    recording.phrases.push({ id, text, difficulty, ...(kana && { kana }), ...(lang && { lang }) });
+}
+
+/**
+ * Adds an event, delta-encoding its time.
+ */
+function pushEvent(time, ...data) {
+    const rounded = Math.round(time);
+    recording.events.push([Math.max(0, rounded - recording.lastTime), ...data]);
+    recording.lastTime = Math.max(recording.lastTime, rounded);
+}
+
+/**
+ * Records a change of the input.
+ * @param {string} previousText - The input before the change.
+ * @param {string} text - The input after the change.
+ * @param {number} time - Milliseconds since the round started.
+ */
+function recordInput(previousText, text, time) {
+    if (!recording) return;
+    let common = 0;
+    while (common < previousText.length && common < text.length && previousText[common] === text[common]) {
+        common++;
+    }
+    pushEvent(time, previousText.length - common, text.slice(common));
+}
+
+/**
+ * Records the current phrase being completed.
+ * @param {number} time - Milliseconds since the round started.
+ */
+function recordCommit(time) {
+    if (!recording) return;
+    pushEvent(time);
+}
+
+/**
+ * Stops recording.
+ * @param {object} details - Round details to keep with the replay: { key, score, wpm, accuracy, ... }.
+ *   key identifies the round settings a ghost must match (see settingsKey()).
+ * @param {number} duration - The round duration in milliseconds.
+ * @returns {object | null} The replay, or null if nothing was typed.
+ */
+function finish(details, duration) {
+    const finished = recording;
+    recording = null;
+    if (!finished || finished.events.length === 0) return null;
+    return {
+        version: REPLAY_SETTINGS.version,
+        id: Date.now(),
+        ...details,
+        duration: Math.round(Math.max(duration, finished.lastTime)),
+        phrases: finished.phrases,
+        events: finished.events,
+    };
+}
+
+/**
+ * Builds the key that identifies comparable rounds.
+ * @param {object} settings - { pack, mode, difficulty, timeLimit }
+ * @returns {string}
+ */
+function settingsKey({ pack, mode, difficulty, timeLimit }) {
+    return [pack, mode, difficulty, timeLimit || ''].join('|');
+}
+
+/**
+ * Saves a replay, keeping the best run for each settings key and the most recent replays.
+ * @param {object} replay - From finish().
+ * @returns {boolean} True if the replay was saved.
+ */
+function save(replay) {
+    const all = [...storageManager.loadReplays(), replay];
+    const bestIds = new Set(Object.values(all.reduce((bests, r) => {
+        if (!bests[r.key] || r.score > bests[r.key].score) bests[r.key] = r;
+        return bests;
+    }, {})).map(r => r.id));
+    const recentIds = new Set(all.slice(-REPLAY_SETTINGS.maxRecent).map(r => r.id));
+    return storageManager.saveReplays(all.filter(r => bestIds.has(r.id) || recentIds.has(r.id)));
+}
+
+/**
+ * Lists the saved replays, newest first.
+ * @returns {Array<object>}
+ */
+function list() {
+    return [...storageManager.loadReplays()].sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Gets a saved replay.
+ * @param {number} id - The replay id.
+ * @returns {object | null}
+ */
+function get(id) {
+    return storageManager.loadReplays().find(r => r.id === id) || null;
+}
+
+/**
+ * Finds the best saved run for a settings key.
+ * @param {string} key - From settingsKey().
+ * @returns {object | null}
+ */
+function findBest(key) {
+    return storageManager.loadReplays()
+        .filter(r => r.key === key)
+        .reduce((best, r) => (!best || r.score > best.score ? r : best), null);
+}
+
+/**
+ * Creates a player that reconstructs a replay's state at any time.
+ * @param {object} replay - A saved replay.
+ * @returns {object} { duration, stateAt(ms) } where stateAt returns { phraseIndex, phrase, typed }.
+ */
+function createPlayer(replay) {
+    let time = 0;
+    const timeline = replay.events.map(event => {
+        time += event[0];
+        return { time, event };
+    });
+
+    /**
+     * Gets the replay state at a time.
+     * @param {number} ms - Milliseconds since the round started.
+     * @returns {{ phraseIndex: number, phrase: object | null, typed: string }}
+     */
+    function stateAt(ms) {
+        let phraseIndex = 0;
+        let typed = '';
+        for (const { time: eventTime, event } of timeline) {
+            if (eventTime > ms) break;
+            if (event.length === 1) {
+                phraseIndex++;
+                typed = '';
+            } else {
+                typed = typed.slice(0, typed.length - event[1]) + event[2];
+            }
+        }
+        return { phraseIndex, phrase: replay.phrases[phraseIndex] || null, typed };
+    }
+
+    return {
+        duration: replay.duration,
+        stateAt,
+    };
+}
+
+export const replays = {
+    start,
+    recordPhrase,
+    recordInput,
+    recordCommit,
+    finish,
+    settingsKey,
+    save,
+    list,
+    get,
+    findBest,
+    createPlayer,
+};
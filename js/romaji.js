@@ -0,0 +1,220 @@
+/**
+ * romaji.js
+ *
+ * Converts kana readings into typeable romaji and matches the player's keystrokes
+ * against every common spelling (shi/si, tsu/tu, nn/n', small kana via x/l, ...),
+ * the way Sushi-da does. The first spelling listed for each kana is the one suggested.
+ */
+
+const KANA_TABLE = {
+    'あ': ['a'], 'い': ['i', 'yi'], 'う': ['u', 'wu', 'whu'], 'え': ['e'], 'お': ['o'],
+    'か': ['ka', 'ca'], 'き': ['ki'], 'く': ['ku', 'cu', 'qu'], 'け': ['ke'], 'こ': ['ko', 'co'],
+    'さ': ['sa'], 'し': ['shi', 'si', 'ci'], 'す': ['su'], 'せ': ['se', 'ce'], 'そ': ['so'],
+    'た': ['ta'], 'ち': ['chi', 'ti'], 'つ': ['tsu', 'tu'], 'て': ['te'], 'と': ['to'],
+    'な': ['na'], 'に': ['ni'], 'ぬ': ['nu'], 'ね': ['ne'], 'の': ['no'],
+    'は': ['ha'], 'ひ': ['hi'], 'ふ': ['fu', 'hu'], 'へ': ['he'], 'ほ': ['ho'],
+    'ま': ['ma'], 'み': ['mi'], 'む': ['mu'], 'め': ['me'], 'も': ['mo'],
+    'や': ['ya'], 'ゆ': ['yu'], 'よ': ['yo'],
+    'ら': ['ra'], 'り': ['ri'], 'る': ['ru'], 'れ': ['re'], 'ろ': ['ro'],
+    'わ': ['wa'], 'ゐ': ['wi'], 'ゑ': ['we'], 'を': ['wo'], 'ん': ['nn', "n'", 'xn'],
+    'が': ['ga'], 'ぎ': ['gi'], 'ぐ': ['gu'], 'げ': ['ge'], 'ご': ['go'],
+    'ざ': ['za'], 'じ': ['ji', 'zi'], 'ず': ['zu'], 'ぜ': ['ze'], 'ぞ': ['zo'],
+    'だ': ['da'], 'ぢ': ['di'], 'づ': ['du'], 'で': ['de'], 'ど': ['do'],
+    'ば': ['ba'], 'び': ['bi'], 'ぶ': ['bu'], 'べ': ['be'], 'ぼ': ['bo'],
+    'ぱ': ['pa'], 'ぴ': ['pi'], 'ぷ': ['pu'], 'ぺ': ['pe'], 'ぽ': ['po'],
+    'ゔ': ['vu'],
+    'ぁ': ['xa', 'la'], 'ぃ': ['xi', 'li'], 'ぅ': ['xu', 'lu'], 'ぇ': ['xe', 'le'], 'ぉ': ['xo', 'lo'],
+    'ゃ': ['xya', 'lya'], 'ゅ': ['xyu', 'lyu'], 'ょ': ['xyo', 'lyo'], 'ゎ': ['xwa', 'lwa'],
+    'っ': ['xtu', 'ltu', 'xtsu', 'ltsu'],
+    'ー': ['-'], '、': [','], '。': ['.'], '！': ['!'], '？': ['?'], '「': ['['], '」': [']'],
+    '・': ['/'], '　': [' '],
+};
+
+// Two-kana combinations with their own spellings. Typing each kana separately
+// (e.g. "kixya" for きゃ) is always accepted as well.
+const COMBO_TABLE = {
+    'きゃ': ['kya'], 'きぃ': ['kyi'], 'きゅ': ['kyu'], 'きぇ': ['kye'], 'きょ': ['kyo'],
+    'しゃ': ['sha', 'sya'], 'しぃ': ['syi'], 'しゅ': ['shu', 'syu'], 'しぇ': ['she', 'sye'], 'しょ': ['sho', 'syo'],
+    'ちゃ': ['cha', 'tya', 'cya'], 'ちぃ': ['tyi', 'cyi'], 'ちゅ': ['chu', 'tyu', 'cyu'], 'ちぇ': ['che', 'tye', 'cye'], 'ちょ': ['cho', 'tyo', 'cyo'],
+    'にゃ': ['nya'], 'にぃ': ['nyi'], 'にゅ': ['nyu'], 'にぇ': ['nye'], 'にょ': ['nyo'],
+    'ひゃ': ['hya'], 'ひぃ': ['hyi'], 'ひゅ': ['hyu'], 'ひぇ': ['hye'], 'ひょ': ['hyo'],
+    'みゃ': ['mya'], 'みぃ': ['myi'], 'みゅ': ['myu'], 'みぇ': ['mye'], 'みょ': ['myo'],
+    'りゃ': ['rya'], 'りぃ': ['ryi'], 'りゅ': ['ryu'], 'りぇ': ['rye'], 'りょ': ['ryo'],
+    'ぎゃ': ['gya'], 'ぎぃ': ['gyi'], 'ぎゅ': ['gyu'], 'ぎぇ': ['gye'], 'ぎょ': ['gyo'],
+    'じゃ': ['ja', 'zya', 'jya'], 'じぃ': ['zyi', 'jyi'], 'じゅ': ['ju', 'zyu', 'jyu'], 'じぇ': ['je', 'zye', 'jye'], 'じょ': ['jo', 'zyo', 'jyo'],
+    'ぢゃ': ['dya'], 'ぢぃ': ['dyi'], 'ぢゅ': ['dyu'], 'ぢぇ': ['dye'], 'ぢょ': ['dyo'],
+    'びゃ': ['bya'], 'びぃ': ['byi'], 'びゅ': ['byu'], 'びぇ': ['bye'], 'びょ': ['byo'],
+    'ぴゃ': ['pya'], 'ぴぃ': ['pyi'], 'ぴゅ': ['pyu'], 'ぴぇ': ['pye'], 'ぴょ': ['pyo'],
+    'てぃ': ['thi'], 'てゅ': ['thu'], 'でぃ': ['dhi'], 'でゅ': ['dhu'],
+    'とぅ': ['twu'], 'どぅ': ['dwu'],
+    'ふぁ': ['fa'], 'ふぃ': ['fi'], 'ふぇ': ['fe'], 'ふぉ': ['fo'], 'ふゅ': ['fyu'],
+    'うぃ': ['wi'], 'うぇ': ['we'], 'うぉ': ['who'],
+    'ゔぁ': ['va'], 'ゔぃ': ['vi'], 'ゔぇ': ['ve'], 'ゔぉ': ['vo'],
+    'つぁ': ['tsa'], 'つぃ': ['tsi'], 'つぇ': ['tse'], 'つぉ': ['tso'],
+};
+
+// Spellings that start with a consonant other than n or y; only these can follow a single "n" for ん.
+const SINGLE_N_FOLLOWERS = /^[bcdfghjklmpqrstvwxz]/;
+
+/**
+ * Normalizes a reading: katakana to hiragana, full-width ASCII to half-width.
+ * @param {string} kana - The reading.
+ * @returns {string} The normalized reading.
+ */
+function normalize(kana) {
+    return kana.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+        .replace(/[！-～]/g, ch => {
+            const half = String.fromCharCode(ch.charCodeAt(0) - 0xFEE0);
+            return KANA_TABLE[ch] ? ch : half;
+        });
+}
+
+/**
+ * Gets the spellings of a single kana (or passes other characters through as-is).
+ */
+function spellingsOf(kana) {
+    return KANA_TABLE[kana] || [kana.toLowerCase()];
+}
+
+/**
+ * Splits a kana reading into units, each with every accepted romaji spelling.
+ * @param {string} kana - The reading, in hiragana or katakana.
+ * @returns {Array<{ kana: string, spellings: Array<string> }>} The units, in order.
+ */
+function toUnits(kana) {
+    const chars = [...normalize(kana)];
+    const units = [];
+
+    for (let i = 0; i < chars.length; i++) {
+        const pair = chars[i] + (chars[i + 1] || '');
+        if (COMBO_TABLE[pair]) {
+            const separate = spellingsOf(chars[i]).flatMap(a => spellingsOf(chars[i + 1]).map(b => a + b));
+            units.push({ kana: pair, spellings: [...COMBO_TABLE[pair], ...separate] });
+            i++;
+        } else {
+            units.push({ kana: chars[i], spellings: spellingsOf(chars[i]) });
+        }
+    }
+
+    // っ merges with the following unit, which may then be typed by doubling its consonant.
+    for (let i = units.length - 2; i >= 0; i--) {
+        if (units[i].kana !== 'っ') continue;
+        const next = units[i + 1];
+        const doubled = next.spellings
+            .filter(s => SINGLE_N_FOLLOWERS.test(s) || s.startsWith('y'))
+            .flatMap(s => (s.startsWith('ch') ? [s[0] + s, 't' + s] : [s[0] + s]));
+        if (doubled.length === 0) continue;
+        const separate = units[i].spellings.flatMap(a => next.spellings.map(b => a + b));
+        units.splice(i, 2, { kana: 'っ' + next.kana, spellings: [...doubled, ...separate] });
+    }
+
+    // ん may be typed as a single "n" when the next unit can't be mistaken for な行, や行 or a vowel.
+    units.forEach((unit, i) => {
+        const next = units[i + 1];
+        if (unit.kana === 'ん' && next && next.spellings.every(s => SINGLE_N_FOLLOWERS.test(s))) {
+            unit.spellings = ['n', ...unit.spellings];
+        }
+    });
+
+    return units;
+}
+
+/**
+ * Creates a matcher that tracks the player's progress through a kana reading.
+ * @param {string} kana - The reading to type.
+ * @returns {object} The matcher: { input, getTyped, getSuggestion, isComplete }.
+ */
+function createMatcher(kana) {
+    const units = toUnits(kana);
+    const chosen = []; // Spelling typed for each finished unit
+    let index = 0;     // Current unit
+    let buffer = '';   // Keys typed so far for the current unit
+
+    const candidates = prefix => units[index].spellings.filter(s => s.startsWith(prefix));
+
+    /**
+     * Feeds one keystroke to the matcher.
+     * @param {string} key - The typed character.
+     * @returns {boolean} True if the key was accepted, false if it was a miss.
+     */
+    function input(key) {
+        if (index >= units.length) return false;
+        const char = key.toLowerCase();
+        const matches = candidates(buffer + char);
+
+        if (matches.length > 0) {
+            buffer += char;
+            if (matches.length === 1 && matches[0] === buffer) {
+                chosen.push(buffer);
+                buffer = '';
+                index++;
+            }
+            return true;
+        }
+
+        // The buffer is already a complete spelling (e.g. "n" for ん): finish it and retry on the next unit.
+        if (buffer && units[index].spellings.includes(buffer)) {
+            chosen.push(buffer);
+            buffer = '';
+            index++;
+            if (index < units.length && candidates(char).length > 0) {
+                return input(char);
+            }
+            // Undo: the key belongs to neither unit.
+            index--;
+            buffer = chosen.pop();
+        }
+        return false;
+    }
+
+    /**
+     * Gets the accepted keys so far.
+     * @returns {string} The typed romaji.
+     */
+    function getTyped() {
+        return chosen.join('') + buffer;
+    }
+
+    /**
+     * Gets the full romaji to suggest: what was typed, then the closest spelling
+     * of the current unit, then the default spelling of the rest.
+     * @returns {string} The suggested romaji for the whole reading.
+     */
+    function getSuggestion() {
+        if (index >= units.length) return chosen.join('');
+        const current = candidates(buffer)[0];
+        const rest = units.slice(index + 1).map(u => u.spellings[0]);
+        return chosen.join('') + current + rest.join('');
+    }
+
+    /**
+     * Checks whether the whole reading has been typed.
+     * @returns {boolean}
+     */
+    function isComplete() {
+        return index >= units.length
+            || (index === units.length - 1 && units[index].spellings.includes(buffer));
+    }
+
+    return {
+        input,
+        getTyped,
+        getSuggestion,
+        isComplete,
+    };
+}
+
+/**
+ * Gets the suggested romaji for a reading.
+ * @param {string} kana - The reading.
+ * @returns {string} The romaji using each unit's default spelling.
+ */
+function toRomaji(kana) {
+    return toUnits(kana).map(u => u.spellings[0]).join('');
+}
+
+export const romaji = {
+    toUnits,
+    toRomaji,
+    createMatcher,
+};
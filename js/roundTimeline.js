@@ -0,0 +1,113 @@
+/**
+ * roundTimeline.js
+ *
+ * Records how a round went over time: a WPM sample every second, the moments
+ * misses and quest completions happened, and the stats of each completed phrase.
+ * Also gives the rolling WPM and accuracy over the last few seconds for the HUD.
+ * All times are milliseconds of active play since the round's first keystroke.
+ */
+
+const TIMELINE_SETTINGS = {
+    rollingWindow: 10000, // Milliseconds of typing the live readout covers
+    minWindow: 1000,      // Shorter stretches are measured as this long, so the first keys don't read as huge WPM
+};
+
+/**
+ * Creates an empty timeline.
+ * @returns {object} { samples: [{ time, wpm, rollingWpm, accuracy }], events: [{ type: 'miss' | 'quest', time, label }],
+ *   phrases: [{ text, duration, wpm, misses, score }], keys } where keys holds the keystrokes still inside the rolling window.
+ */
+function createEmpty() {
+    return { samples: [], events: [], phrases: [], keys: [] };
+}
+
+/**
+ * Calculates WPM from a number of correct characters typed in a stretch of time.
+ */
+function toWpm(correct, ms) {
+    return ms > 0 ? (correct / 5) / (ms / 60000) : 0;
+}
+
+/**
+ * Records one keystroke; misses are also marked as events.
+ * @param {object} timeline - From createEmpty() (modified in place).
+ * @param {number} time - When the key was pressed.
+ * @param {boolean} isCorrect - Whether it matched the expected character.
+ */
+function recordKey(timeline, time, isCorrect) {
+    timeline.keys.push({ time, correct: isCorrect });
+    while (timeline.keys.length > 0 && timeline.keys[0].time < time - TIMELINE_SETTINGS.rollingWindow) {
+        timeline.keys.shift();
+    }
+    if (!isCorrect) timeline.events.push({ type: 'miss', time });
+}
+
+/**
+ * Marks a completed quest.
+ * @param {object} timeline - From createEmpty() (modified in place).
+ * @param {number} time - When the quest was completed.
+ * @param {string} label - The quest's description.
+ */
+function recordQuest(timeline, time, label) {
+    timeline.events.push({ type: 'quest', time, label });
+}
+
+/**
+ * Records a completed phrase.
+ * @param {object} timeline - From createEmpty() (modified in place).
+ * @param {object} phrase
+ * @param {string} phrase.text - The phrase.
+ * @param {number} phrase.duration - Milliseconds from showing the phrase to completing it.
+ * @param {number} phrase.correct - Correct characters typed.
+ * @param {number} phrase.misses - Misses while typing it.
+ * @param {number} phrase.score - Points earned, including its time bonus and quest rewards.
+ */
+function recordPhrase(timeline, { text, duration, correct, misses, score }) {
+    timeline.phrases.push({ text, duration, wpm: toWpm(correct, duration), misses, score });
+}
+
+/**
+ * Gets the WPM and accuracy over the last TIMELINE_SETTINGS.rollingWindow of typing.
+ * @param {object} timeline - From createEmpty().
+ * @param {number} time - The current time.
+ * @returns {object} { wpm, accuracy } with accuracy in percent (null before any key in the window).
+ */
+function getRolling(timeline, time) {
+    const { rollingWindow, minWindow } = TIMELINE_SETTINGS;
+    const keys = timeline.keys.filter(key => key.time >= time - rollingWindow);
+    const correct = keys.filter(key => key.correct).length;
+    const span = Math.max(minWindow, Math.min(rollingWindow, time));
+    return {
+        wpm: toWpm(correct, span),
+        accuracy: keys.length > 0 ? (correct / keys.length) * 100 : null,
+    };
+}
+
+/**
+ * Adds a sample of the round's WPM so far and the rolling WPM and accuracy. Samples only
+ * move forward: one not later than the last sample is skipped (e.g. the end of a timed
+ * round, clamped to the time limit after a tick already sampled past it).
+ * @param {object} timeline - From createEmpty() (modified in place).
+ * @param {number} time - The current time.
+ * @param {number} totalCorrect - Correct characters typed this round.
+ */
+function sample(timeline, time, totalCorrect) {
+    const last = timeline.samples.at(-1);
+    if (last && time <= last.time) return;
+    const rolling = getRolling(timeline, time);
+    timeline.samples.push({
+        time,
+        wpm: toWpm(totalCorrect, time),
+        rollingWpm: rolling.wpm,
+        accuracy: rolling.accuracy,
+    });
+}
+
+export const roundTimeline = {
+    createEmpty,
+    recordKey,
+    recordQuest,
+    recordPhrase,
+    getRolling,
+    sample,
+};
@@ -0,0 +1,246 @@
+/**
+ * scoring.js
+ *
+ * Scoring rules, loaded from data/scoring.json so balance can be tuned without
+ * code changes, and the itemized score breakdown shown on the results screen.
+ *
+ * The file has a "default" rule set plus optional overrides per difficulty and
+ * per mode, applied in that order (nested objects are merged, arrays replaced):
+ *   charPoints           Points for each correct character
+ *   difficultyMultiplier Multiplies character points
+ *   missPenalty          Points lost per miss
+ *   correctionPenalty    Points lost per deleted character
+ *   combo.perHit         Multiplier gained per character of the current combo
+ *   combo.tiers          [{ minCombo, bonus }]: extra multiplier once the combo reaches minCombo (highest tier reached counts)
+ *   combo.maxMultiplier  Cap on the combo multiplier, or null
+ *   timeBonus.points     Bonus for a phrase typed instantly (timed mode: with the whole clock left)
+ *   timeBonus.parCharsPerSecond  Untimed modes: typing slower than this earns no time bonus
+ *   timeBonus.max        Cap on the time bonus per phrase, or null
+ */
+
+const RULES_PATH = 'data/scoring.json';
+
+// Built-in rules, used if data/scoring.json is missing or invalid.
+const DEFAULT_RULES = {
+    default: {
+        charPoints: 10,
+        difficultyMultiplier: 1,
+        missPenalty: 15,
+        correctionPenalty: 5,
+        combo: { perHit: 0.02, tiers: [], maxMultiplier: null },
+        timeBonus: { points: 200, parCharsPerSecond: 2, max: null },
+    },
+    difficulties: {
+        easy: { difficultyMultiplier: 0.8 },
+        normal: { difficultyMultiplier: 1 },
+        hard: { difficultyMultiplier: 1.2 },
+        lunatic: { difficultyMultiplier: 1.5 },
+    },
+    modes: {
+        zen: { timeBonus: { points: 0 } },
+    },
+};
+
+// Score breakdown items, in display order.
+const BREAKDOWN_ITEMS = [
+    { id: 'characters', label: 'Characters' },
+    { id: 'difficulty', label: 'Difficulty' },
+    { id: 'combo', label: 'Combo Bonus' },
+    { id: 'timeBonus', label: 'Time Bonus' },
+    { id: 'quests', label: 'Quest Rewards' },
+    { id: 'misses', label: 'Miss Penalties' },
+    { id: 'corrections', label: 'Correction Penalties' },
+];
+
+let ruleSets = DEFAULT_RULES;
+
+/**
+ * Checks whether a value is a plain object (not an array or null).
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Merges rule overrides into a rule set, returning a new object.
+ */
+function merge(rules, overrides) {
+    const merged = { ...rules };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        merged[key] = isObject(value) && isObject(rules[key]) ? merge(rules[key], value) : value;
+    });
+    return merged;
+}
+
+/**
+ * Validates one rule set (the default or an override), adding human-readable errors to a list.
+ */
+function validateRuleSet(rules, name, errors) {
+    if (!isObject(rules)) {
+        errors.push(`${name} must be an object.`);
+        return;
+    }
+    const checkNumber = (value, path, { nullable = false, positive = false } = {}) => {
+        if (value === undefined || (nullable && value === null)) return;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (positive && value === 0)) {
+            errors.push(`${name}: ${path} must be a number ${positive ? 'above 0' : 'of 0 or more'}${nullable ? ' (or null)' : ''}.`);
+        }
+    };
+    ['charPoints', 'difficultyMultiplier', 'missPenalty', 'correctionPenalty'].forEach(key => checkNumber(rules[key], key));
+    if (rules.combo !== undefined) {
+        if (!isObject(rules.combo)) {
+            errors.push(`${name}: combo must be an object.`);
+        } else {
+            checkNumber(rules.combo.perHit, 'combo.perHit');
+            checkNumber(rules.combo.maxMultiplier, 'combo.maxMultiplier', { nullable: true });
+            if (rules.combo.tiers !== undefined && !Array.isArray(rules.combo.tiers)) {
+                errors.push(`${name}: combo.tiers must be a list.`);
+            }
+            (Array.isArray(rules.combo.tiers) ? rules.combo.tiers : []).forEach((tier, index) => {
+                checkNumber(tier?.minCombo ?? -1, `combo.tiers[${index}].minCombo`);
+                checkNumber(tier?.bonus ?? -1, `combo.tiers[${index}].bonus`);
+            });
+        }
+    }
+    if (rules.timeBonus !== undefined) {
+        if (!isObject(rules.timeBonus)) {
+            errors.push(`${name}: timeBonus must be an object.`);
+        } else {
+            checkNumber(rules.timeBonus.points, 'timeBonus.points');
+            checkNumber(rules.timeBonus.parCharsPerSecond, 'timeBonus.parCharsPerSecond', { positive: true });
+            checkNumber(rules.timeBonus.max, 'timeBonus.max', { nullable: true });
+        }
+    }
+}
+
+/**
+ * Validates scoring rules, returning a list of human-readable errors.
+ * @param {object} data - The contents of data/scoring.json.
+ * @returns {Array<string>} Empty if the rules are valid.
+ */
+function validateRules(data) {
+    const errors = [];
+    if (!isObject(data)) return ['The scoring rules must be an object.'];
+    validateRuleSet(data.default, 'default', errors);
+    ['difficulties', 'modes'].forEach(group => {
+        if (data[group] === undefined) return;
+        if (!isObject(data[group])) {
+            errors.push(`${group} must be an object.`);
+            return;
+        }
+        Object.entries(data[group]).forEach(([id, rules]) => validateRuleSet(rules, `${group}.${id}`, errors));
+    });
+    return errors;
+}
+
+/**
+ * Loads the scoring rules. The built-in rules are kept if the file can't be loaded or is invalid.
+ */
+async function init() {
+    try {
+        const response = await fetch(RULES_PATH);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        const errors = validateRules(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid scoring rules:\n${errors.join('\n')}`);
+        }
+        ruleSets = { ...data, default: merge(DEFAULT_RULES.default, data.default) };
+    } catch (error) {
+        console.error("Failed to load the scoring rules, using the built-in rules:", error);
+        ruleSets = DEFAULT_RULES;
+    }
+}
+
+/**
+ * Gets the scoring rules for a round.
+ * @param {string} difficulty - The round's difficulty.
+ * @param {string} mode - The round's mode.
+ * @returns {object} The default rules with the difficulty's and then the mode's overrides applied.
+ */
+function getRules(difficulty, mode) {
+    return merge(merge(ruleSets.default, ruleSets.difficulties?.[difficulty]), ruleSets.modes?.[mode]);
+}
+
+/**
+ * Gets the combo multiplier for a combo.
+ * @param {object} rules - From getRules().
+ * @param {number} combo - The current combo, including the character being scored.
+ * @returns {number}
+ */
+function getComboMultiplier(rules, combo) {
+    const { perHit, tiers, maxMultiplier } = rules.combo;
+    const reached = (tiers || [])
+        .filter(tier => combo >= tier.minCombo)
+        .sort((a, b) => b.minCombo - a.minCombo)[0];
+    const multiplier = 1 + combo * perHit + (reached ? reached.bonus : 0);
+    return maxMultiplier === null ? multiplier : Math.min(multiplier, maxMultiplier);
+}
+
+/**
+ * Scores a correct character, split into its breakdown items.
+ * @param {object} rules - From getRules().
+ * @param {number} combo - The current combo, including this character.
+ * @returns {object} { characters, difficulty, combo } points.
+ */
+function scoreCharacter(rules, combo) {
+    const base = rules.charPoints;
+    const withDifficulty = base * rules.difficultyMultiplier;
+    return {
+        characters: base,
+        difficulty: withDifficulty - base,
+        combo: withDifficulty * (getComboMultiplier(rules, combo) - 1),
+    };
+}
+
+/**
+ * Calculates the time bonus for a completed phrase. Pass fractionLeft in timed mode,
+ * or keyCount and seconds in untimed modes.
+ * @param {object} rules - From getRules().
+ * @param {object} phrase
+ * @param {number} [phrase.fractionLeft] - Timed mode: the fraction of the time limit left on the clock.
+ * @param {number} [phrase.keyCount] - Keys needed to type the phrase.
+ * @param {number} [phrase.seconds] - Seconds taken to type the phrase.
+ * @returns {number} The bonus points.
+ */
+function getTimeBonus(rules, { fractionLeft, keyCount, seconds }) {
+    const { points, parCharsPerSecond, max } = rules.timeBonus;
+    const fraction = fractionLeft !== undefined
+        ? fractionLeft
+        : Math.max(0, 1 - seconds / (keyCount / parCharsPerSecond));
+    const bonus = Math.floor(fraction * points);
+    return max === null ? bonus : Math.min(bonus, max);
+}
+
+/**
+ * Creates an empty score breakdown.
+ * @returns {object} Points per breakdown item, e.g. { characters: 0, combo: 0, ... }.
+ */
+function createBreakdown() {
+    return Object.fromEntries(BREAKDOWN_ITEMS.map(item => [item.id, 0]));
+}
+
+/**
+ * Rounds a breakdown for display. Fractional points all come from the difficulty and
+ * combo bonuses; the combo bonus absorbs the rounding so the items add up to the total.
+ * @param {object} breakdown - From createBreakdown(), filled in during the round.
+ * @returns {object} { items: [{ id, label, points }], total } with whole points.
+ */
+function summarize(breakdown) {
+    const total = Math.round(Object.values(breakdown).reduce((sum, points) => sum + points, 0));
+    const items = BREAKDOWN_ITEMS.map(item => ({ ...item, points: Math.round(breakdown[item.id]) }));
+    const combo = items.find(item => item.id === 'combo');
+    combo.points = total - items.filter(item => item !== combo).reduce((sum, item) => sum + item.points, 0);
+    return { items, total };
+}
+
+export const scoring = {
+    init,
+    getRules,
+    scoreCharacter,
+    getTimeBonus,
+    createBreakdown,
+    summarize,
+};
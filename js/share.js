@@ -0,0 +1,276 @@
+/**
+ * share.js
+ *
+ * Shares round results: builds the share text and a result card image, and sends
+ * them through the Web Share API, one of the share targets below, or the clipboard.
+ * Share targets are only defined here; the results screen lists them as given.
+ */
+
+import { storageManager } from './storageManager.js';
+import { challengeCodes } from './challengeCodes.js';
+
+const HASHTAG = '#AncientTechTypingGame';
+
+// Share targets. Targets with an instance setting post to a server the player picks
+// (remembered in settings); targets without a url copy the text instead.
+const SHARE_TARGETS = {
+    x: {
+        label: 'X',
+        url: ({ text, link }) => `https://x.com/intent/post?text=${encodeURIComponent(text)}&url=${encodeURIComponent(link)}`,
+    },
+    mastodon: {
+        label: 'Mastodon',
+        instanceSetting: 'mastodonInstance',
+        defaultInstance: '',
+        url: ({ text, link, instance }) => `${instance}/share?text=${encodeURIComponent(`${text} ${link}`)}`,
+    },
+    misskey: {
+        label: 'Misskey',
+        instanceSetting: 'misskeyInstance',
+        defaultInstance: 'https://misskey.io',
+        url: ({ text, link, instance }) => `${instance}/share?text=${encodeURIComponent(text)}&url=${encodeURIComponent(link)}`,
+    },
+    copy: {
+        label: 'Copy Text',
+    },
+};
+
+const CARD = {
+    width: 1200,
+    height: 630,
+    padding: 60,
+    font: "'Space Mono', ui-monospace, monospace",
+    colors: { background: '#07080A', border: '#00FFD1', title: '#00FFD1', score: '#7CFF00', text: '#E0F2F1', muted: '#9BD7D0' },
+    historyLength: 10, // Rounds shown in the card's WPM chart
+};
+
+/**
+ * Lists the share targets for the results screen.
+ * @returns {Array<object>} [{ id, label, needsInstance, instance }] where instance is the saved
+ *   (or default) server for targets that need one.
+ */
+function getTargets() {
+    const settings = storageManager.loadSettings();
+    return Object.entries(SHARE_TARGETS).map(([id, target]) => ({
+        id,
+        label: target.label,
+        needsInstance: Boolean(target.instanceSetting),
+        instance: target.instanceSetting ? settings[target.instanceSetting] || target.defaultInstance : null,
+    }));
+}
+
+/**
+ * Builds the text shared with a result.
+ * @param {object} results - A saved game result.
+ * @returns {string}
+ */
+function buildText({ score, accuracy, wpm, challengeCode }) {
+    const challenge = challengeCode ? ` Play the same round with challenge code ${challengeCode}.` : ' Can you beat my score?';
+    return `I scored ${score} points with ${accuracy.toFixed(1)}% accuracy and ${wpm.toFixed(1)} WPM in AncientTech Typing Game!${challenge} ${HASHTAG}`;
+}
+
+/**
+ * Builds the link shared with a result: a challenge link when the round can be replayed, otherwise the game.
+ * @param {object} results - A saved game result.
+ * @returns {string}
+ */
+function buildLink({ challengeCode }) {
+    if (challengeCode) return challengeCodes.buildLink(challengeCode);
+    return new URL(window.location.pathname, window.location.origin).toString();
+}
+
+/**
+ * Turns what the player typed as an instance into its origin, e.g. "mastodon.social" -> "https://mastodon.social".
+ * @param {string} input - The instance address.
+ * @returns {string | null} The origin, or null if it isn't a web address.
+ */
+function normalizeInstance(input) {
+    const text = String(input || '').trim();
+    if (!text) return null;
+    try {
+        const url = new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+        return /^https?:$/.test(url.protocol) ? url.origin : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Shares a result to a share target.
+ * @param {string} targetId - A key of SHARE_TARGETS.
+ * @param {object} results - A saved game result.
+ * @param {object} [options]
+ * @param {string} [options.instance] - The server for targets that need one; remembered for next time.
+ * @returns {Promise<string | null>} A confirmation to show the player, if any. Rejects if the
+ *   target can't be used (e.g. a missing instance or no clipboard access).
+ */
+async function shareTo(targetId, results, { instance } = {}) {
+    const target = SHARE_TARGETS[targetId];
+    if (!target) throw new Error(`Unknown share target: ${targetId}`);
+    const text = buildText(results);
+    const link = buildLink(results);
+
+    if (!target.url) {
+        await navigator.clipboard.writeText(`${text} ${link}`);
+        return 'Share text copied.';
+    }
+    let origin = null;
+    if (target.instanceSetting) {
+        origin = normalizeInstance(instance);
+        if (!origin) throw new Error(`Enter the address of your ${target.label} server.`);
+        storageManager.saveSettings({ [target.instanceSetting]: origin });
+    }
+    window.open(target.url({ text, link, instance: origin }), '_blank', 'noopener');
+    return null;
+}
+
+/**
+ * Checks whether the browser has a native share sheet.
+ * @returns {boolean}
+ */
+function canShareNatively() {
+    return typeof navigator.share === 'function';
+}
+
+/**
+ * Opens the browser's share sheet, attaching the card image where supported.
+ * @param {object} results - A saved game result.
+ * @param {HTMLCanvasElement} [card] - From renderCard().
+ * @returns {Promise<void>} Resolves without sharing if the player cancels.
+ */
+async function shareNatively(results, card) {
+    const data = { title: 'AncientTech Typing Game', text: buildText(results), url: buildLink(results) };
+    if (card) {
+        const file = new File([await toBlob(card)], 'ancienttech-result.png', { type: 'image/png' });
+        if (navigator.canShare?.({ files: [file] })) data.files = [file];
+    }
+    try {
+        await navigator.share(data);
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+    }
+}
+
+/**
+ * Draws a bar chart of recent WPM, highlighting the latest round.
+ */
+function drawWpmChart(ctx, wpmHistory, { x, y, width, height }) {
+    const values = wpmHistory.slice(-CARD.historyLength);
+    if (values.length === 0) return;
+    const max = Math.max(...values, 1);
+    const gap = 8;
+    const barWidth = (width - gap * (CARD.historyLength - 1)) / CARD.historyLength;
+    ctx.fillStyle = CARD.colors.muted;
+    ctx.font = `22px ${CARD.font}`;
+    ctx.fillText('Recent WPM', x, y - 14);
+    values.forEach((value, index) => {
+        const barHeight = Math.max(2, (value / max) * height);
+        ctx.fillStyle = index === values.length - 1 ? CARD.colors.score : CARD.colors.border;
+        ctx.globalAlpha = index === values.length - 1 ? 1 : 0.5;
+        ctx.fillRect(x + index * (barWidth + gap), y + height - barHeight, barWidth, barHeight);
+    });
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Draws the result card.
+ * @param {object} results - A saved game result.
+ * @param {object} [details]
+ * @param {string} [details.packName] - The phrase pack's display name.
+ * @param {Array<string>} [details.badges] - Badges earned this round.
+ * @param {Array<number>} [details.wpmHistory] - WPM of recent rounds, oldest first, ending with this one.
+ * @returns {HTMLCanvasElement} The card, CARD.width by CARD.height pixels.
+ */
+function renderCard(results, { packName = results.pack, badges = [], wpmHistory = [] } = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = CARD.width;
+    canvas.height = CARD.height;
+    const ctx = canvas.getContext('2d');
+    const { padding, colors, font } = CARD;
+
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, CARD.width, CARD.height);
+    ctx.strokeStyle = colors.border;
+    ctx.lineWidth = 4;
+    ctx.strokeRect(20, 20, CARD.width - 40, CARD.height - 40);
+    ctx.textBaseline = 'alphabetic';
+
+    ctx.fillStyle = colors.title;
+    ctx.font = `bold 40px ${font}`;
+    ctx.fillText('AncientTech Typing Game', padding, padding + 40);
+
+    const mode = String(results.mode || '').replace('_', ' ').toUpperCase();
+    const time = results.timeLimit ? ` ${results.timeLimit}s` : '';
+    ctx.fillStyle = colors.muted;
+    ctx.font = `26px ${font}`;
+    ctx.fillText(`${mode}${time} · ${String(results.difficulty).toUpperCase()} · ${packName || ''}`, padding, padding + 90);
+
+    ctx.fillStyle = colors.score;
+    ctx.font = `bold 130px ${font}`;
+    ctx.fillText(String(results.score), padding, padding + 240);
+    ctx.fillStyle = colors.muted;
+    ctx.font = `28px ${font}`;
+    ctx.fillText('points', padding + 8, padding + 285);
+
+    const stats = [
+        ['WPM', results.wpm.toFixed(1)],
+        ['Accuracy', `${results.accuracy.toFixed(1)}%`],
+        ['Max Combo', String(results.maxCombo ?? 0)],
+    ];
+    stats.forEach(([label, value], index) => {
+        const x = padding + index * 230;
+        ctx.fillStyle = colors.muted;
+        ctx.font = `24px ${font}`;
+        ctx.fillText(label, x, padding + 360);
+        ctx.fillStyle = colors.text;
+        ctx.font = `bold 44px ${font}`;
+        ctx.fillText(value, x, padding + 410);
+    });
+
+    ctx.fillStyle = colors.muted;
+    ctx.font = `24px ${font}`;
+    const badgeText = badges.length > 0 ? `Badges: ${badges.join(', ')}` : 'No badges this round';
+    ctx.fillText(badgeText, padding, CARD.height - padding - 40, CARD.width - padding * 2);
+    if (results.challengeCode) {
+        ctx.fillStyle = colors.title;
+        ctx.fillText(`Challenge: ${results.challengeCode}`, padding, CARD.height - padding);
+    }
+
+    drawWpmChart(ctx, wpmHistory, { x: CARD.width - padding - 420, y: padding + 170, width: 420, height: 220 });
+    return canvas;
+}
+
+/**
+ * Encodes a card as a PNG.
+ * @param {HTMLCanvasElement} card - From renderCard().
+ * @returns {Promise<Blob>}
+ */
+function toBlob(card) {
+    return new Promise((resolve, reject) => {
+        card.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode the result card.'))), 'image/png');
+    });
+}
+
+/**
+ * Copies a card image to the clipboard.
+ * @param {HTMLCanvasElement} card - From renderCard().
+ * @returns {Promise<void>} Rejects if the browser can't copy images.
+ */
+async function copyCard(card) {
+    if (typeof ClipboardItem === 'undefined' || !navigator.clipboard?.write) {
+        throw new Error("This browser can't copy images.");
+    }
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': toBlob(card) })]);
+}
+
+export const share = {
+    getTargets,
+    buildText,
+    buildLink,
+    shareTo,
+    canShareNatively,
+    shareNatively,
+    renderCard,
+    toBlob,
+    copyCard,
+};
@@ -3,52 +3,310 @@
  * 
  * Manages saving and loading data to and from the browser's localStorage.
  * This allows for persisting high scores and user settings.
+ *
+ * Everything a player saves is stored in one versioned blob. Older blobs are
+ * migrated forward on load, old game results are compacted into monthly
+ * aggregates, and corrupt data is backed up rather than overwritten.
+ *
+ * Several players can share a browser through profiles: each profile has its own
+ * blob, and every load and save below uses the active profile's blob. The profile
+ * list is kept separately, under PROFILES_KEY.
  */
 
-const STORAGE_KEY = 'ancientTechGameData';
+const STORAGE_KEY = 'ancientTechGameData'; // The default profile's blob; other profiles add a suffix
+const PROFILES_KEY = 'ancientTechProfiles';
+const SCHEMA_VERSION_KEY = 'schemaVersion';
 const GAME_RESULTS_KEY = 'gameResults';
+const RESULT_ARCHIVE_KEY = 'resultArchive';
+const QUEST_PROGRESS_KEY = 'questProgress';
+const BADGES_KEY = 'badges';
+const SETTINGS_KEY = 'settings';
+const CUSTOM_PACKS_KEY = 'customPacks';
+const KEY_STATS_KEY = 'keyStats';
+const TRAINING_PROGRESS_KEY = 'trainingProgress';
+const REPLAYS_KEY = 'replays';
+const CAMPAIGN_PROGRESS_KEY = 'campaignProgress';
+
+// The profile that owns data saved before profiles existed.
+const DEFAULT_PROFILE = { id: 'default', name: 'Player 1', createdAt: 0 };
+
+const CURRENT_SCHEMA_VERSION = 1;
+const MAX_STORED_RESULTS = 200; // Older results are aggregated into RESULT_ARCHIVE_KEY
+
+// Migrations indexed by the version they upgrade from. Each returns the upgraded data.
+const MIGRATIONS = {
+    // 0: the original unversioned blob.
+    0: (data) => ({
+        ...data,
+        [GAME_RESULTS_KEY]: (data[GAME_RESULTS_KEY] || []).map(r => ({ ...r, timestamp: r.timestamp || 0 })),
+        [RESULT_ARCHIVE_KEY]: [],
+    }),
+};
+
+let profileIndex = null; // { activeId, profiles: [{ id, name, createdAt }] }, read on first use
+
+const errorListeners = [];
+const pendingErrors = []; // Reported before any listener was registered
 
 /**
- * Saves data to localStorage.
- * @param {object} data - The data to save (e.g., { highScore: 1000 }).
+ * Registers a listener for persistence errors, e.g. to show them in the UI.
+ * Errors reported before the first listener was registered are delivered to it immediately.
+ * @param {function(string): void} listener - Called with a user-facing message.
  */
-function saveData(data) {
+function onError(listener) {
+    errorListeners.push(listener);
+    pendingErrors.splice(0).forEach(message => listener(message));
+}
+
+/**
+ * Logs a persistence error and notifies the error listeners.
+ * @param {string} message - A user-facing message.
+ * @param {Error} [error] - The underlying error.
+ */
+function reportError(message, error) {
+    console.error(message, error);
+    if (errorListeners.length === 0) {
+        pendingErrors.push(message);
+    }
+    errorListeners.forEach(listener => listener(message));
+}
+
+/**
+ * Checks whether an error means localStorage is full.
+ */
+function isQuotaError(error) {
+    return error instanceof DOMException && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+/**
+ * Gets the profile list, reading it from localStorage on first use. Without a saved
+ * list there is just the default profile.
+ * @returns {object} { activeId, profiles: [{ id, name, createdAt }] }
+ */
+function getProfileIndex() {
+    if (profileIndex) return profileIndex;
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+    } catch (error) {
+        console.error("Error loading the profile list from localStorage:", error);
+    }
+    if (!Array.isArray(saved?.profiles) || saved.profiles.length === 0) {
+        saved = { activeId: DEFAULT_PROFILE.id, profiles: [DEFAULT_PROFILE] };
+    }
+    if (!saved.profiles.some(p => p.id === saved.activeId)) {
+        saved.activeId = saved.profiles[0].id;
+    }
+    profileIndex = saved;
+    return profileIndex;
+}
+
+/**
+ * Saves the profile list.
+ * @param {object} index - The new profile list.
+ * @returns {boolean} True if the list was written.
+ */
+function writeProfileIndex(index) {
+    try {
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(index));
+        profileIndex = index;
+        return true;
+    } catch (error) {
+        reportError('Your profiles could not be saved in this browser.', error);
+        return false;
+    }
+}
+
+/**
+ * Gets the localStorage key of a profile's blob.
+ * @param {string} profileId - The profile id.
+ * @returns {string}
+ */
+function getProfileStorageKey(profileId) {
+    return profileId === DEFAULT_PROFILE.id ? STORAGE_KEY : `${STORAGE_KEY}.profile-${profileId}`;
+}
+
+/**
+ * Gets the localStorage key of the active profile's blob.
+ * @returns {string}
+ */
+function getStorageKey() {
+    return getProfileStorageKey(getProfileIndex().activeId);
+}
+
+/**
+ * Applies migrations until the data reaches the current schema version.
+ * @param {object} data - The stored data.
+ * @returns {object} The migrated data.
+ */
+function migrate(data) {
+    let migrated = data;
+    let version = migrated[SCHEMA_VERSION_KEY] || 0;
+    while (version < CURRENT_SCHEMA_VERSION) {
+        migrated = { ...MIGRATIONS[version](migrated), [SCHEMA_VERSION_KEY]: version + 1 };
+        version++;
+    }
+    compactResults(migrated, MAX_STORED_RESULTS);
+    return migrated;
+}
+
+/**
+ * Moves the oldest game results beyond `limit` into monthly per-difficulty aggregates.
+ * @param {object} data - The stored data, modified in place.
+ * @param {number} limit - How many detailed results to keep.
+ * @returns {boolean} True if anything was compacted.
+ */
+function compactResults(data, limit) {
+    const results = data[GAME_RESULTS_KEY] || [];
+    if (results.length <= limit) return false;
+
+    const sorted = [...results].sort((a, b) => a.timestamp - b.timestamp);
+    const overflow = sorted.slice(0, sorted.length - limit);
+    const archive = data[RESULT_ARCHIVE_KEY] || [];
+
+    overflow.forEach(r => {
+        const date = new Date(r.timestamp);
+        const period = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        const difficulty = r.difficulty || 'unknown';
+        let entry = archive.find(a => a.period === period && a.difficulty === difficulty);
+        if (!entry) {
+            entry = { period, difficulty, games: 0, totalScore: 0, totalWpm: 0, totalAccuracy: 0, bestScore: 0, bestWpm: 0, bestAccuracy: 0, maxCombo: 0 };
+            archive.push(entry);
+        }
+        entry.games++;
+        entry.totalScore += r.score || 0;
+        entry.totalWpm += r.wpm || 0;
+        entry.totalAccuracy += r.accuracy || 0;
+        entry.bestScore = Math.max(entry.bestScore, r.score || 0);
+        entry.bestWpm = Math.max(entry.bestWpm, r.wpm || 0);
+        entry.bestAccuracy = Math.max(entry.bestAccuracy, r.accuracy || 0);
+        entry.maxCombo = Math.max(entry.maxCombo, r.maxCombo || 0);
+    });
+
+    data[GAME_RESULTS_KEY] = sorted.slice(sorted.length - limit);
+    data[RESULT_ARCHIVE_KEY] = archive;
+    return true;
+}
+
+/**
+ * Writes the whole blob. When storage is full, results are compacted harder and the
+ * write is retried once before the failure is reported.
+ * @param {object} data - The data to write.
+ * @returns {boolean} True if the data was written.
+ */
+function writeStore(data) {
+    try {
+        localStorage.setItem(getStorageKey(), JSON.stringify(data));
+        return true;
+    } catch (error) {
+        if (isQuotaError(error) && compactResults(data, Math.floor(MAX_STORED_RESULTS / 4))) {
+            try {
+                localStorage.setItem(getStorageKey(), JSON.stringify(data));
+                return true;
+            } catch (retryError) {
+                error = retryError;
+            }
+        }
+        reportError(isQuotaError(error)
+            ? 'Browser storage is full. Your latest progress could not be saved.'
+            : 'Your progress could not be saved in this browser.', error);
+        return false;
+    }
+}
+
+/**
+ * Keeps a copy of unreadable data under a backup key before it is replaced.
+ * @param {string} raw - The unreadable stored text.
+ * @returns {string | null} The backup key, or null if the backup failed.
+ */
+function backUpCorruptData(raw) {
+    const backupKey = `${getStorageKey()}.corrupt-${Date.now()}`;
     try {
-        const existingData = loadData() || {};
-        const newData = { ...existingData, ...data };
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(newData));
+        localStorage.setItem(backupKey, raw);
+        return backupKey;
     } catch (error) {
-        console.error("Error saving data to localStorage:", error);
+        console.error("Error backing up corrupt data:", error);
+        return null;
     }
 }
 
 /**
- * Loads data from localStorage.
+ * Saves data to localStorage.
+ * @param {object} data - The data to save (e.g., { highScore: 1000 }).
+ * @returns {boolean} True if the data was written.
+ */
+function saveData(data) {
+    const existingData = loadData() || { [SCHEMA_VERSION_KEY]: CURRENT_SCHEMA_VERSION };
+    return writeStore({ ...existingData, ...data });
+}
+
+/**
+ * Loads data from localStorage, migrating it to the current schema if needed.
+ * Corrupt data is backed up and reported, then treated as empty.
  * @returns {object | null} The loaded data or null if an error occurs or no data exists.
  */
 function loadData() {
+    let raw;
     try {
-        const data = localStorage.getItem(STORAGE_KEY);
-        return data ? JSON.parse(data) : null;
+        raw = localStorage.getItem(getStorageKey());
     } catch (error) {
-        console.error("Error loading data from localStorage:", error);
+        reportError('Saved progress is unavailable in this browser.', error);
         return null;
     }
+    if (!raw) return null;
+
+    let data;
+    try {
+        data = JSON.parse(raw);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Stored data is not an object.');
+        }
+    } catch (error) {
+        const backupKey = backUpCorruptData(raw);
+        localStorage.removeItem(getStorageKey());
+        reportError(backupKey
+            ? `Saved progress was unreadable and has been reset. A backup was kept as "${backupKey}".`
+            : 'Saved progress was unreadable and has been reset.', error);
+        return null;
+    }
+
+    if ((data[SCHEMA_VERSION_KEY] || 0) > CURRENT_SCHEMA_VERSION) {
+        console.warn(`Saved data has schema version ${data[SCHEMA_VERSION_KEY]}, newer than ${CURRENT_SCHEMA_VERSION}.`);
+        return data;
+    }
+    if ((data[SCHEMA_VERSION_KEY] || 0) < CURRENT_SCHEMA_VERSION) {
+        data = migrate(data);
+        writeStore(data);
+    }
+    return data;
+}
+
+/**
+ * Replaces all saved data, migrating it to the current schema first.
+ * @param {object} data - The complete data to store.
+ * @returns {boolean} True if the data was written.
+ */
+function replaceData(data) {
+    return writeStore(migrate({ ...data }));
 }
 
 /**
  * Saves a single game result to the historical results array in localStorage.
- * @param {object} result - The game result to save ({ score, accuracy, wpm, timestamp }).
+ * Results beyond MAX_STORED_RESULTS are compacted into the result archive.
+ * @param {object} result - The game result to save ({ score, accuracy, wpm, difficulty, mode,
+ *   duration, phrasesCompleted, maxCombo, misses, questsCompleted, ... }). A timestamp is added.
+ * @returns {boolean} True if the result was saved.
  */
 function saveGameResult(result) {
-    try {
-        const allData = loadData() || {};
-        const gameResults = allData[GAME_RESULTS_KEY] || [];
-        gameResults.push({ ...result, timestamp: Date.now() });
-        saveData({ [GAME_RESULTS_KEY]: gameResults });
-    } catch (error) {
-        console.error("Error saving game result to localStorage:", error);
-    }
+    const allData = loadData() || { [SCHEMA_VERSION_KEY]: CURRENT_SCHEMA_VERSION };
+    allData[GAME_RESULTS_KEY] = [...(allData[GAME_RESULTS_KEY] || []), { ...result, timestamp: Date.now() }];
+    compactResults(allData, MAX_STORED_RESULTS);
+    return writeStore(allData);
 }
 
 /**
@@ -65,9 +323,317 @@ function loadGameResults() {
     }
 }
 
+/**
+ * Loads the aggregates of results that were compacted out of the detailed history.
+ * @returns {Array<object>} [{ period: 'YYYY-MM', difficulty, games, totalScore, totalWpm,
+ *   totalAccuracy, bestScore, bestWpm, bestAccuracy, maxCombo }]
+ */
+function loadResultArchive() {
+    const allData = loadData();
+    return allData ? (allData[RESULT_ARCHIVE_KEY] || []) : [];
+}
+
+/**
+ * Records that a quest was completed, counting completions per quest id.
+ * @param {string} questId - The id of the completed quest.
+ */
+function recordQuestCompletion(questId) {
+    try {
+        const allData = loadData() || {};
+        const questProgress = allData[QUEST_PROGRESS_KEY] || {};
+        const entry = questProgress[questId] || { completions: 0, firstCompletedAt: Date.now() };
+        questProgress[questId] = { ...entry, completions: entry.completions + 1, lastCompletedAt: Date.now() };
+        saveData({ [QUEST_PROGRESS_KEY]: questProgress });
+    } catch (error) {
+        console.error("Error saving quest progress to localStorage:", error);
+    }
+}
+
+/**
+ * Loads the per-quest completion records.
+ * @returns {object} A map of quest id to { completions, firstCompletedAt, lastCompletedAt }.
+ */
+function loadQuestProgress() {
+    try {
+        const allData = loadData();
+        return allData ? (allData[QUEST_PROGRESS_KEY] || {}) : {};
+    } catch (error) {
+        console.error("Error loading quest progress from localStorage:", error);
+        return {};
+    }
+}
+
+/**
+ * Saves an earned badge. An existing record for the same badge is kept.
+ * @param {string} name - The badge name.
+ * @param {object} record - Details of how it was earned ({ earnedAt, questId, stats }).
+ */
+function saveBadge(name, record) {
+    try {
+        const allData = loadData() || {};
+        const badges = allData[BADGES_KEY] || {};
+        if (badges[name]) return;
+        badges[name] = record;
+        saveData({ [BADGES_KEY]: badges });
+    } catch (error) {
+        console.error("Error saving badge to localStorage:", error);
+    }
+}
+
+/**
+ * Loads all earned badges.
+ * @returns {object} A map of badge name to its earned record.
+ */
+function loadBadges() {
+    try {
+        const allData = loadData();
+        return allData ? (allData[BADGES_KEY] || {}) : {};
+    } catch (error) {
+        console.error("Error loading badges from localStorage:", error);
+        return {};
+    }
+}
+
+/**
+ * Saves user settings, merging them into any existing settings.
+ * @param {object} settings - The settings to save (e.g., { muted: true }).
+ */
+function saveSettings(settings) {
+    try {
+        const allData = loadData() || {};
+        saveData({ [SETTINGS_KEY]: { ...(allData[SETTINGS_KEY] || {}), ...settings } });
+    } catch (error) {
+        console.error("Error saving settings to localStorage:", error);
+    }
+}
+
+/**
+ * Loads user settings.
+ * @returns {object} The saved settings, or an empty object.
+ */
+function loadSettings() {
+    try {
+        const allData = loadData();
+        return allData ? (allData[SETTINGS_KEY] || {}) : {};
+    } catch (error) {
+        console.error("Error loading settings from localStorage:", error);
+        return {};
+    }
+}
+
+/**
+ * Saves the list of custom phrase packs.
+ * @param {Array<object>} packs - The custom packs.
+ * @returns {boolean} True if the packs were saved.
+ */
+function saveCustomPacks(packs) {
+    return saveData({ [CUSTOM_PACKS_KEY]: packs });
+}
+
+/**
+ * Loads the custom phrase packs.
+ * @returns {Array<object>} The custom packs.
+ */
+function loadCustomPacks() {
+    const allData = loadData();
+    return allData ? (allData[CUSTOM_PACKS_KEY] || []) : [];
+}
+
+/**
+ * Saves the per-key statistics aggregated across rounds.
+ * @param {object} stats - Statistics from keyStats.merge().
+ * @returns {boolean} True if the statistics were saved.
+ */
+function saveKeyStats(stats) {
+    return saveData({ [KEY_STATS_KEY]: stats });
+}
+
+/**
+ * Loads the per-key statistics aggregated across rounds.
+ * @returns {object | null} The statistics, or null if none are saved yet.
+ */
+function loadKeyStats() {
+    const allData = loadData();
+    return allData ? (allData[KEY_STATS_KEY] || null) : null;
+}
+
+/**
+ * Saves weak-key training progress.
+ * @param {object} progress - { [key or bigram]: { kind, baseline, rounds } } from weakKeyTrainer.
+ * @returns {boolean} True if the progress was saved.
+ */
+function saveTrainingProgress(progress) {
+    return saveData({ [TRAINING_PROGRESS_KEY]: progress });
+}
+
+/**
+ * Loads weak-key training progress.
+ * @returns {object} The progress per trained key or bigram.
+ */
+function loadTrainingProgress() {
+    const allData = loadData();
+    return allData ? (allData[TRAINING_PROGRESS_KEY] || {}) : {};
+}
+
+/**
+ * Saves the kept round replays.
+ * @param {Array<object>} list - Replays from replays.finish().
+ * @returns {boolean} True if the replays were saved.
+ */
+function saveReplays(list) {
+    return saveData({ [REPLAYS_KEY]: list });
+}
+
+/**
+ * Loads the kept round replays.
+ * @returns {Array<object>} The replays, oldest first.
+ */
+function loadReplays() {
+    const allData = loadData();
+    return allData ? (allData[REPLAYS_KEY] || []) : [];
+}
+
+/**
+ * Records that a campaign stage was cleared. The first clear is kept.
+ * @param {string} stageId - The id of the cleared stage.
+ * @param {object} record - { completedAt, score }
+ * @returns {boolean} True if the progress was saved.
+ */
+function recordCampaignStage(stageId, record) {
+    const allData = loadData() || {};
+    const progress = allData[CAMPAIGN_PROGRESS_KEY] || {};
+    if (progress[stageId]) return true;
+    return saveData({ [CAMPAIGN_PROGRESS_KEY]: { ...progress, [stageId]: record } });
+}
+
+/**
+ * Loads campaign progress.
+ * @returns {object} A map of cleared stage id to { completedAt, score }.
+ */
+function loadCampaignProgress() {
+    const allData = loadData();
+    return allData ? (allData[CAMPAIGN_PROGRESS_KEY] || {}) : {};
+}
+
+/**
+ * Lists the profiles on this browser.
+ * @returns {Array<object>} [{ id, name, createdAt }] in creation order.
+ */
+function listProfiles() {
+    return getProfileIndex().profiles.map(profile => ({ ...profile }));
+}
+
+/**
+ * Gets the profile whose data is loaded and saved.
+ * @returns {object} { id, name, createdAt }
+ */
+function getActiveProfile() {
+    const index = getProfileIndex();
+    return { ...index.profiles.find(p => p.id === index.activeId) };
+}
+
+/**
+ * Switches the profile whose data is loaded and saved.
+ * @param {string} profileId - The profile to switch to.
+ * @returns {boolean} True if the profile exists and the switch was saved.
+ */
+function setActiveProfile(profileId) {
+    const index = getProfileIndex();
+    if (!index.profiles.some(p => p.id === profileId)) return false;
+    return writeProfileIndex({ ...index, activeId: profileId });
+}
+
+/**
+ * Adds a profile with no data. The active profile doesn't change.
+ * @param {string} name - The profile name.
+ * @returns {object | null} The new profile, or null if it couldn't be saved.
+ */
+function createProfile(name) {
+    const index = getProfileIndex();
+    const profile = { id: `p${Date.now().toString(36)}`, name, createdAt: Date.now() };
+    return writeProfileIndex({ ...index, profiles: [...index.profiles, profile] }) ? { ...profile } : null;
+}
+
+/**
+ * Renames a profile.
+ * @param {string} profileId - The profile to rename.
+ * @param {string} name - The new name.
+ * @returns {boolean} True if the profile exists and the new name was saved.
+ */
+function renameProfile(profileId, name) {
+    const index = getProfileIndex();
+    if (!index.profiles.some(p => p.id === profileId)) return false;
+    const profiles = index.profiles.map(p => (p.id === profileId ? { ...p, name } : p));
+    return writeProfileIndex({ ...index, profiles });
+}
+
+/**
+ * Deletes a profile and all of its data. The last profile can't be deleted; deleting
+ * the active profile switches to the first remaining one.
+ * @param {string} profileId - The profile to delete.
+ * @returns {boolean} True if the profile was deleted.
+ */
+function deleteProfile(profileId) {
+    const index = getProfileIndex();
+    if (index.profiles.length <= 1 || !index.profiles.some(p => p.id === profileId)) return false;
+    const profiles = index.profiles.filter(p => p.id !== profileId);
+    const activeId = index.activeId === profileId ? profiles[0].id : index.activeId;
+    if (!writeProfileIndex({ activeId, profiles })) return false;
+    try {
+        localStorage.removeItem(getProfileStorageKey(profileId));
+    } catch (error) {
+        console.error("Error removing profile data from localStorage:", error);
+    }
+    return true;
+}
+
+/**
+ * Reads any profile's data without changing it, e.g. to compare profiles. Old data is
+ * migrated in memory only.
+ * @param {string} profileId - The profile id.
+ * @returns {object | null} The profile's data, or null if it has none or it is unreadable.
+ */
+function loadProfileData(profileId) {
+    try {
+        const data = JSON.parse(localStorage.getItem(getProfileStorageKey(profileId)));
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+        return (data[SCHEMA_VERSION_KEY] || 0) < CURRENT_SCHEMA_VERSION ? migrate(data) : data;
+    } catch (error) {
+        console.error("Error loading profile data from localStorage:", error);
+        return null;
+    }
+}
+
 export const storageManager = {
     save: saveData,
     load: loadData,
+    replaceData,
+    migrate,
     saveGameResult: saveGameResult,
     loadGameResults: loadGameResults,
+    loadResultArchive,
+    recordQuestCompletion,
+    loadQuestProgress,
+    saveBadge,
+    loadBadges,
+    saveSettings,
+    loadSettings,
+    saveCustomPacks,
+    loadCustomPacks,
+    saveKeyStats,
+    loadKeyStats,
+    saveTrainingProgress,
+    loadTrainingProgress,
+    saveReplays,
+    loadReplays,
+    recordCampaignStage,
+    loadCampaignProgress,
+    listProfiles,
+    getActiveProfile,
+    setActiveProfile,
+    createProfile,
+    renameProfile,
+    deleteProfile,
+    loadProfileData,
+    onError,
 };
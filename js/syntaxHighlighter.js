@@ -0,0 +1,124 @@
+/**
+ * syntaxHighlighter.js
+ *
+ * A small regex-based tokenizer for the code snippets typed in code packs.
+ * It only needs to be good enough to color short snippets, so each language
+ * is described by its comment syntax and keyword list.
+ */
+
+const C_LIKE_COMMENT = /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y;
+const HASH_COMMENT = /#[^\n]*/y;
+
+const LANGUAGES = {
+    javascript: {
+        comment: C_LIKE_COMMENT,
+        keywords: ['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'else',
+            'export', 'extends', 'false', 'for', 'from', 'function', 'if', 'import', 'in', 'let', 'new', 'null',
+            'of', 'return', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'while'],
+    },
+    python: {
+        comment: HASH_COMMENT,
+        keywords: ['and', 'as', 'class', 'def', 'elif', 'else', 'except', 'False', 'for', 'from', 'if', 'import',
+            'in', 'is', 'lambda', 'None', 'not', 'or', 'pass', 'raise', 'return', 'self', 'True', 'try', 'while',
+            'with', 'yield'],
+    },
+    java: {
+        comment: C_LIKE_COMMENT,
+        keywords: ['boolean', 'class', 'else', 'extends', 'false', 'final', 'for', 'if', 'int', 'new', 'null',
+            'private', 'public', 'return', 'static', 'String', 'this', 'true', 'void', 'while'],
+    },
+    c: {
+        comment: C_LIKE_COMMENT,
+        keywords: ['char', 'const', 'else', 'for', 'if', 'include', 'int', 'return', 'sizeof', 'struct',
+            'unsigned', 'void', 'while'],
+    },
+    go: {
+        comment: C_LIKE_COMMENT,
+        keywords: ['chan', 'defer', 'else', 'err', 'error', 'for', 'func', 'go', 'if', 'import', 'int', 'nil',
+            'package', 'range', 'return', 'string', 'struct', 'type', 'var'],
+    },
+    sql: {
+        comment: /--[^\n]*/y,
+        caseInsensitive: true,
+        keywords: ['and', 'as', 'by', 'count', 'desc', 'from', 'group', 'having', 'insert', 'into', 'join', 'left',
+            'limit', 'not', 'null', 'on', 'or', 'order', 'select', 'set', 'update', 'values', 'where'],
+    },
+    bash: {
+        comment: HASH_COMMENT,
+        keywords: ['do', 'done', 'echo', 'else', 'esac', 'export', 'fi', 'for', 'if', 'in', 'local', 'then', 'while'],
+    },
+};
+
+const STRING = /"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?|`(?:\\.|[^`\\])*`?/y;
+const NUMBER = /\d+(?:\.\d+)?/y;
+const WORD = /[A-Za-z_$][\w$]*/y;
+
+/**
+ * Tries a sticky regex at a position.
+ * @returns {string | null} The matched text, or null.
+ */
+function matchAt(regex, code, index) {
+    if (!regex) return null;
+    regex.lastIndex = index;
+    const match = regex.exec(code);
+    return match && match[0] ? match[0] : null;
+}
+
+/**
+ * Splits code into tokens.
+ * Unknown languages are returned as a single plain token.
+ * @param {string} code - The snippet.
+ * @param {string} language - A key of LANGUAGES, e.g. 'javascript'.
+ * @returns {Array<{ text: string, type: string }>} Tokens with type 'comment', 'string', 'number',
+ *   'keyword', 'function', 'punctuation' or 'plain'.
+ */
+function tokenize(code, language) {
+    const definition = LANGUAGES[language];
+    if (!definition) return [{ text: code, type: 'plain' }];
+
+    const keywords = new Set(definition.keywords);
+    const tokens = [];
+    const push = (text, type) => {
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === type) last.text += text;
+        else tokens.push({ text, type });
+    };
+
+    let index = 0;
+    while (index < code.length) {
+        let text;
+        if ((text = matchAt(definition.comment, code, index))) {
+            push(text, 'comment');
+        } else if ((text = matchAt(STRING, code, index))) {
+            push(text, 'string');
+        } else if ((text = matchAt(NUMBER, code, index))) {
+            push(text, 'number');
+        } else if ((text = matchAt(WORD, code, index))) {
+            const word = definition.caseInsensitive ? text.toLowerCase() : text;
+            if (keywords.has(word)) push(text, 'keyword');
+            else if (code[index + text.length] === '(') push(text, 'function');
+            else push(text, 'plain');
+        } else {
+            text = code[index];
+            push(text, /[{}()[\];,.:=<>+\-*/%!&|?]/.test(text) ? 'punctuation' : 'plain');
+        }
+        index += text.length;
+    }
+    return tokens;
+}
+
+/**
+ * Gets the token type of every character, for rendering code one character at a time.
+ * @param {string} code - The snippet.
+ * @param {string} language - A key of LANGUAGES.
+ * @returns {Array<string>} One token type per character.
+ */
+function classifyCharacters(code, language) {
+    return tokenize(code, language).flatMap(token => token.text.split('').map(() => token.type));
+}
+
+export const syntaxHighlighter = {
+    tokenize,
+    classifyCharacters,
+    languages: Object.keys(LANGUAGES),
+};
@@ -0,0 +1,226 @@
+/**
+ * weakKeyTrainer.js
+ *
+ * Weak-key training: builds a profile of the keys and bigrams the player misses
+ * most or types slowest, picks (or generates from a word list) phrases dense in
+ * them, and tracks how each targeted key improves from round to round.
+ */
+
+import { storageManager } from './storageManager.js';
+import { phrasePacks } from './phrasePacks.js';
+import { romaji } from './romaji.js';
+
+const WORDS_PATH = 'data/words.json';
+
+const TRAINING_SETTINGS = {
+    targetKeys: 5,        // Weakest keys targeted per round
+    targetBigrams: 3,     // Weakest bigrams targeted per round
+    minPresses: 5,        // Keys and bigrams typed fewer times aren't judged
+    slownessWeight: 0.2,  // Weight of each "median latency" of slowness, relative to error rate
+    bigramWeight: 2,      // A bigram occurrence counts this much more than a single key
+    packPhrases: 6,       // Densest phrases taken from the selected pack
+    generatedPhrases: 6,  // Phrases generated from the word list (plain English packs only)
+    wordsPerPhrase: 5,
+    wordPoolSize: 40,     // Generated phrases sample from this many of the densest words
+    historyLength: 20,    // Rounds of progress kept per target
+    recentRounds: 3,      // Rounds averaged for the "now" figures in the progress view
+};
+
+let words = [];
+
+/**
+ * Loads the word list used to generate training phrases.
+ * Training still works without it, using pack phrases only.
+ */
+async function init() {
+    try {
+        const response = await fetch(WORDS_PATH);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        words = Array.isArray(data?.words) ? data.words : [];
+    } catch (error) {
+        console.error("Failed to load the training word list:", error);
+        words = [];
+    }
+}
+
+/**
+ * Ranks a table of key or bigram counts by weakness.
+ * Weakness is the error rate plus a bonus for being slower than the median entry.
+ * Whitespace is never targeted.
+ * @param {object} table - { [id]: { presses, misses, latencyTotal, timedPresses } }
+ * @param {number} limit - How many entries to return.
+ * @returns {Array<object>} [{ id, weakness, errorRate, avgLatency }], weakest first.
+ */
+function rankWeakest(table, limit) {
+    const entries = Object.entries(table || {})
+        .filter(([id, counts]) => !/\s/.test(id) && counts.presses >= TRAINING_SETTINGS.minPresses)
+        .map(([id, counts]) => ({
+            id,
+            errorRate: counts.misses / counts.presses,
+            avgLatency: counts.timedPresses > 0 ? counts.latencyTotal / counts.timedPresses : null,
+        }));
+
+    const latencies = entries.map(e => e.avgLatency).filter(l => l !== null).sort((a, b) => a - b);
+    const median = latencies[Math.floor(latencies.length / 2)];
+
+    return entries
+        .map(e => {
+            const slowness = e.avgLatency !== null && median > 0 ? Math.max(0, e.avgLatency / median - 1) : 0;
+            return { ...e, weakness: e.errorRate + slowness * TRAINING_SETTINGS.slownessWeight };
+        })
+        .filter(e => e.weakness > 0)
+        .sort((a, b) => b.weakness - a.weakness)
+        .slice(0, limit);
+}
+
+/**
+ * Builds the training profile from recorded key statistics.
+ * @param {object | null} stats - Aggregated statistics from storageManager.loadKeyStats().
+ * @returns {{ keys: Array<object>, bigrams: Array<object> }} The targets, weakest first.
+ *   Both lists are empty if there isn't enough data yet.
+ */
+function buildProfile(stats) {
+    return {
+        keys: rankWeakest(stats?.keys, TRAINING_SETTINGS.targetKeys),
+        bigrams: rankWeakest(stats?.bigrams, TRAINING_SETTINGS.targetBigrams),
+    };
+}
+
+/**
+ * Checks whether a profile has any targets.
+ * @param {object} profile - From buildProfile().
+ * @returns {boolean}
+ */
+function hasTargets(profile) {
+    return profile.keys.length > 0 || profile.bigrams.length > 0;
+}
+
+/**
+ * Counts the (possibly overlapping) occurrences of a string in a text.
+ */
+function occurrences(text, part) {
+    let total = 0;
+    for (let index = text.indexOf(part); index !== -1; index = text.indexOf(part, index + 1)) total++;
+    return total;
+}
+
+/**
+ * Scores how dense a text is in the profile's targets, per character.
+ * @param {string} text - The keys to be typed.
+ * @param {object} profile - From buildProfile().
+ * @returns {number} The weighted number of target occurrences per character.
+ */
+function density(text, profile) {
+    if (!text) return 0;
+    const keyScore = profile.keys.reduce((sum, t) => sum + occurrences(text, t.id) * t.weakness, 0);
+    const bigramScore = profile.bigrams.reduce((sum, t) => sum + occurrences(text, t.id) * t.weakness, 0);
+    return (keyScore + bigramScore * TRAINING_SETTINGS.bigramWeight) / text.length;
+}
+
+/**
+ * Generates a phrase from the densest words, inserting targeted symbols and
+ * digits (which no word contains) after random words.
+ */
+function generatePhrase(wordPool, symbols) {
+    const picked = Array.from({ length: TRAINING_SETTINGS.wordsPerPhrase },
+        () => wordPool[Math.floor(Math.random() * wordPool.length)]);
+    symbols.forEach(symbol => {
+        const index = Math.floor(Math.random() * picked.length);
+        picked[index] += symbol;
+    });
+    return picked.join(' ');
+}
+
+/**
+ * Picks the phrases for a training round.
+ * @param {Array<object>} phrases - The selected pack's phrases.
+ * @param {object} profile - From buildProfile().
+ * @param {object} options
+ * @param {string} options.language - The pack language; Japanese phrases are judged by their romaji.
+ * @param {boolean} options.generate - Whether phrases may be generated from the word list.
+ * @returns {Array<object>} The densest pack phrases followed by generated ones.
+ */
+function buildPhrases(phrases, profile, { language, generate }) {
+    const typedText = phrase => (language === 'ja' ? romaji.toRomaji(phrase.kana) : phrase.text);
+    const densest = phrases
+        .map(phrase => ({ phrase, score: density(typedText(phrase), profile) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, TRAINING_SETTINGS.packPhrases)
+        .map(({ phrase }) => phrase);
+
+    if (!generate || words.length === 0) return densest;
+
+    const wordPool = words
+        .map(word => ({ word, score: density(word, profile) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, TRAINING_SETTINGS.wordPoolSize)
+        .map(({ word }) => word);
+    if (wordPool.length === 0) return densest;
+
+    const symbols = profile.keys.map(t => t.id).filter(id => !/[a-z]/i.test(id));
+    const generated = Array.from({ length: TRAINING_SETTINGS.generatedPhrases }, (_, index) => {
+        const text = generatePhrase(wordPool, symbols);
+        return { id: `weak-${index + 1}`, text, difficulty: phrasePacks.rateDifficulty(text) };
+    });
+    return [...densest, ...generated];
+}
+
+/**
+ * Records how the player did on each target this round.
+ * @param {object} profile - The profile the round was built from.
+ * @param {object} roundStats - The round's key statistics.
+ */
+function recordProgress(profile, roundStats) {
+    const progress = storageManager.loadTrainingProgress();
+    const timestamp = Date.now();
+    const targets = [
+        ...profile.keys.map(t => ({ ...t, kind: 'key', counts: roundStats.keys[t.id] })),
+        ...profile.bigrams.map(t => ({ ...t, kind: 'bigram', counts: roundStats.bigrams?.[t.id] })),
+    ];
+
+    targets.forEach(({ id, kind, errorRate, avgLatency, counts }) => {
+        if (!counts || counts.presses === 0) return;
+        const entry = progress[id] || { kind, baseline: { errorRate, avgLatency }, rounds: [] };
+        entry.rounds = [...entry.rounds, { timestamp, ...counts }].slice(-TRAINING_SETTINGS.historyLength);
+        progress[id] = entry;
+    });
+    storageManager.saveTrainingProgress(progress);
+}
+
+/**
+ * Summarizes training progress for each key or bigram that has been targeted.
+ * @param {object} progress - From storageManager.loadTrainingProgress().
+ * @returns {Array<object>} [{ id, kind, rounds, baselineErrorRate, recentErrorRate, baselineLatency,
+ *   recentLatency }], most recently trained first. Latencies are in milliseconds or null.
+ */
+function summarizeProgress(progress) {
+    return Object.entries(progress || {})
+        .map(([id, entry]) => {
+            const recent = entry.rounds.slice(-TRAINING_SETTINGS.recentRounds);
+            const sum = field => recent.reduce((total, round) => total + round[field], 0);
+            return {
+                id,
+                kind: entry.kind,
+                rounds: entry.rounds.length,
+                lastTrained: entry.rounds[entry.rounds.length - 1]?.timestamp || 0,
+                baselineErrorRate: entry.baseline.errorRate,
+                recentErrorRate: sum('presses') > 0 ? sum('misses') / sum('presses') : 0,
+                baselineLatency: entry.baseline.avgLatency,
+                recentLatency: sum('timedPresses') > 0 ? sum('latencyTotal') / sum('timedPresses') : null,
+            };
+        })
+        .sort((a, b) => b.lastTrained - a.lastTrained);
+}
+
+export const weakKeyTrainer = {
+    init,
+    buildProfile,
+    hasTargets,
+    buildPhrases,
+    recordProgress,
+    summarizeProgress,
+};
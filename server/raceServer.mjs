@@ -0,0 +1,437 @@
+/**
+ * raceServer.mjs
+ *
+ * Optional server for multiplayer races on a local network. It serves the game's
+ * files and relays race messages between players over a WebSocket at /race.
+ * It only uses Node's standard library, so there is nothing to install.
+ *
+ * Usage: node server/raceServer.mjs [port]
+ * Then open http://<this machine's LAN address>:<port>/ on every player's machine.
+ *
+ * Messages are JSON objects with a `type`:
+ *   client -> server: create { name }, join { room, name }, start { settings }, progress { score, phrases, progress },
+ *                     finish { score, wpm, accuracy }, withdraw (this player couldn't start the race), leave
+ *   server -> client: room { room, playerId, hostId, players }, countdown { seconds, race }, progress { playerId, ... },
+ *                     ranking { final, rankings }, error { message }
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_PORT = 8080;
+const RACE_PATH = '/race';
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const RACE_SETTINGS = {
+    countdownSeconds: 3,
+    maxPlayers: 8,
+    maxNameLength: 20,
+    maxMessageBytes: 16 * 1024,
+    modes: ['timed', 'phrases', 'sudden_death'], // Modes with an end every player reaches on their own
+    difficulties: ['easy', 'normal', 'hard', 'lunatic'],
+    maxTimeLimit: 600,
+    untimedRaceSeconds: 600, // How long races without a time limit may run
+    finishGraceSeconds: 30,  // Time after the limit for results to arrive before the ranking is made final anyway
+};
+
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O, which read like 1 and 0
+const ROOM_CODE_LENGTH = 4;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.ogg': 'audio/ogg',
+    '.mp3': 'audio/mpeg',
+};
+
+const rooms = new Map(); // Room code -> { code, hostId, players: Map<id, player>, race, raceTimeoutId }
+let nextPlayerId = 1;
+
+// --- Static files ---
+
+// The game's files; nothing else in the repository is served.
+const PUBLIC_FILES = ['index.html'];
+const PUBLIC_DIRECTORIES = ['css', 'js', 'data', 'assets'];
+
+/**
+ * Checks whether a path relative to the repository root may be served: a public file,
+ * or a file inside a public directory, with no hidden (dot) segments.
+ */
+function isPublic(relativePath) {
+    const segments = relativePath.split(path.sep);
+    if (segments.some(segment => segment.startsWith('.'))) return false;
+    return PUBLIC_FILES.includes(relativePath) || (segments.length > 1 && PUBLIC_DIRECTORIES.includes(segments[0]));
+}
+
+/**
+ * Serves one of the game's files, or index.html for the root.
+ */
+async function serveFile(request, response) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    let filePath;
+    try {
+        filePath = path.join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+    } catch {
+        response.writeHead(400).end('Bad request');
+        return;
+    }
+    if (!filePath.startsWith(ROOT + path.sep) || !isPublic(path.relative(ROOT, filePath))) {
+        response.writeHead(404).end('Not found');
+        return;
+    }
+    try {
+        const data = await fs.readFile(filePath);
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(data);
+    } catch (error) {
+        response.writeHead(error.code === 'ENOENT' || error.code === 'EISDIR' ? 404 : 500).end('Not found');
+    }
+}
+
+// --- WebSocket framing (RFC 6455: text, close and ping frames are all a race needs) ---
+
+/**
+ * Encodes a server-to-client frame (servers never mask).
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Wraps an upgraded socket as a message connection.
+ * @param {import('node:net').Socket} socket - The upgraded socket.
+ * @param {object} handlers - { onMessage(text), onClose() }
+ * @returns {object} { send(object), close() }
+ */
+function createConnection(socket, { onMessage, onClose }) {
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let closed = false;
+
+    const write = (opcode, payload) => {
+        if (!closed && socket.writable) socket.write(encodeFrame(opcode, payload));
+    };
+    const close = (code = 1000) => {
+        if (closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        write(0x8, payload);
+        closed = true;
+        socket.end();
+        onClose();
+    };
+
+    /**
+     * Reads every complete frame from the buffer, stopping once the connection is closed.
+     */
+    const readFrames = () => {
+        while (!closed && buffer.length >= 2) {
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (!masked) return close(1002); // Clients must mask their frames
+            if (length > RACE_SETTINGS.maxMessageBytes) return close(1009);
+            if (buffer.length < offset + 4 + length) return;
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            buffer = buffer.subarray(offset + 4 + length);
+
+            if (opcode === 0x8) return close();
+            if (opcode === 0x9) {
+                write(0xA, payload);
+            } else if (opcode === 0x1 || opcode === 0x0) {
+                fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+                    onMessage(text);
+                }
+            }
+        }
+    };
+
+    socket.on('data', chunk => {
+        if (closed) return; // The player has already left the room
+        buffer = Buffer.concat([buffer, chunk]);
+        if (buffer.length > RACE_SETTINGS.maxMessageBytes * 2) return close(1009);
+        readFrames();
+    });
+    socket.on('close', () => {
+        if (closed) return;
+        closed = true;
+        onClose();
+    });
+    socket.on('error', () => socket.destroy());
+
+    return {
+        send: message => write(0x1, Buffer.from(JSON.stringify(message))),
+        close,
+    };
+}
+
+// --- Rooms and races ---
+
+/**
+ * Creates an unused room code.
+ */
+function createRoomCode() {
+    let code;
+    do {
+        code = Array.from({ length: ROOM_CODE_LENGTH },
+            () => ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)]).join('');
+    } while (rooms.has(code));
+    return code;
+}
+
+/**
+ * Cleans up a player name, falling back to "Player <id>".
+ */
+function cleanName(name, id) {
+    const text = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+    return text.slice(0, RACE_SETTINGS.maxNameLength) || `Player ${id}`;
+}
+
+/**
+ * Validates the host's race settings.
+ * @returns {object | null} The settings, or null if they are invalid.
+ */
+function validateSettings(settings) {
+    const { mode, difficulty, timeLimit, pack } = settings || {};
+    if (!RACE_SETTINGS.modes.includes(mode) || !RACE_SETTINGS.difficulties.includes(difficulty)) return null;
+    if (typeof pack !== 'string' || !/^[\w-]{1,60}$/.test(pack)) return null;
+    if (mode === 'timed' && !(Number.isInteger(timeLimit) && timeLimit > 0 && timeLimit <= RACE_SETTINGS.maxTimeLimit)) {
+        return null;
+    }
+    return { mode, difficulty, pack, timeLimit: mode === 'timed' ? timeLimit : null };
+}
+
+/**
+ * Sends a message to every player in a room.
+ */
+function broadcast(room, message) {
+    room.players.forEach(player => player.connection.send(message));
+}
+
+/**
+ * Tells every player who is in the room. Each player also learns their own id.
+ */
+function broadcastRoom(room) {
+    const players = [...room.players.values()].map(({ id, name }) => ({ id, name }));
+    room.players.forEach(player => player.connection.send({
+        type: 'room',
+        room: room.code,
+        playerId: player.id,
+        hostId: room.hostId,
+        players,
+    }));
+}
+
+/**
+ * Sends the ranking of the current race: finished players by score, then everyone
+ * still racing. The ranking is final once every racer has finished, withdrawn or left,
+ * or when the race's deadline passes.
+ * @param {object} room - The racing room.
+ * @param {boolean} [force] - Make the ranking final even if some racers haven't finished.
+ */
+function broadcastRanking(room, force = false) {
+    const racers = [...room.players.values()].filter(p => p.racing);
+    const rankings = racers
+        .map(({ id, name, result, progress }) => ({
+            id,
+            name,
+            finished: Boolean(result),
+            score: result ? result.score : progress.score,
+            wpm: result?.wpm ?? null,
+            accuracy: result?.accuracy ?? null,
+        }))
+        .sort((a, b) => (b.finished - a.finished) || (b.score - a.score));
+    const final = force || racers.every(p => p.result);
+    broadcast(room, { type: 'ranking', final, rankings });
+    if (final) {
+        room.race = null;
+        clearTimeout(room.raceTimeoutId);
+        room.raceTimeoutId = null;
+    }
+}
+
+/**
+ * Removes a player from their room, handing the host role on and closing empty rooms.
+ */
+function leaveRoom(player) {
+    const room = rooms.get(player.room);
+    player.room = null;
+    if (!room) return;
+    room.players.delete(player.id);
+    if (room.players.size === 0) {
+        clearTimeout(room.raceTimeoutId);
+        rooms.delete(room.code);
+        return;
+    }
+    if (room.hostId === player.id) room.hostId = room.players.keys().next().value;
+    broadcastRoom(room);
+    if (room.race) broadcastRanking(room);
+}
+
+/**
+ * Adds a player to a room.
+ */
+function joinRoom(player, room, name) {
+    if (player.room) leaveRoom(player);
+    player.name = cleanName(name, player.id);
+    player.room = room.code;
+    player.racing = false;
+    room.players.set(player.id, player);
+    broadcastRoom(room);
+}
+
+/**
+ * Handles one message from a player.
+ */
+function handleMessage(player, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        return;
+    }
+    const room = rooms.get(player.room);
+    const fail = errorMessage => player.connection.send({ type: 'error', message: errorMessage });
+
+    switch (message?.type) {
+        case 'create': {
+            const code = createRoomCode();
+            const created = { code, hostId: player.id, players: new Map(), race: null, raceTimeoutId: null };
+            rooms.set(code, created);
+            joinRoom(player, created, message.name);
+            break;
+        }
+        case 'join': {
+            const target = rooms.get(String(message.room || '').trim().toUpperCase());
+            if (!target) return fail('No room with that code.');
+            if (target.race) return fail('That room is racing. Try again when the race is over.');
+            if (target.players.size >= RACE_SETTINGS.maxPlayers) return fail('That room is full.');
+            joinRoom(player, target, message.name);
+            break;
+        }
+        case 'start': {
+            if (!room || room.hostId !== player.id) return fail('Only the room host can start a race.');
+            if (room.race) return fail('A race is already running.');
+            const settings = validateSettings(message.settings);
+            if (!settings) return fail('Races can be timed, 10-phrase or sudden death rounds.');
+            room.race = { seed: crypto.randomInt(2 ** 32), ...settings };
+            room.players.forEach(p => {
+                p.racing = true;
+                p.result = null;
+                p.progress = { score: 0, phrases: 0, progress: null };
+            });
+            // A racer whose game never reports back mustn't keep the room racing forever.
+            const raceSeconds = settings.timeLimit ?? RACE_SETTINGS.untimedRaceSeconds;
+            const deadline = RACE_SETTINGS.countdownSeconds + raceSeconds + RACE_SETTINGS.finishGraceSeconds;
+            room.raceTimeoutId = setTimeout(() => {
+                if (room.race) broadcastRanking(room, true);
+            }, deadline * 1000);
+            broadcast(room, { type: 'countdown', seconds: RACE_SETTINGS.countdownSeconds, race: room.race });
+            break;
+        }
+        case 'progress': {
+            if (!room?.race || !player.racing || player.result) return;
+            player.progress = {
+                score: Number(message.score) || 0,
+                phrases: Number(message.phrases) || 0,
+                progress: Number.isFinite(message.progress) ? Math.min(1, Math.max(0, message.progress)) : null,
+            };
+            broadcast(room, { type: 'progress', playerId: player.id, ...player.progress });
+            break;
+        }
+        case 'finish': {
+            if (!room?.race || !player.racing || player.result) return;
+            player.result = {
+                score: Number(message.score) || 0,
+                wpm: Number(message.wpm) || 0,
+                accuracy: Number(message.accuracy) || 0,
+            };
+            broadcastRanking(room);
+            break;
+        }
+        case 'withdraw': {
+            if (!room?.race || !player.racing || player.result) return;
+            player.racing = false;
+            broadcastRanking(room);
+            break;
+        }
+        case 'leave':
+            leaveRoom(player);
+            break;
+    }
+}
+
+/**
+ * Accepts a WebSocket connection at RACE_PATH.
+ */
+function handleUpgrade(request, socket) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const key = request.headers['sec-websocket-key'];
+    if (pathname !== RACE_PATH || request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+
+    const player = { id: nextPlayerId++, name: '', room: null, racing: false, result: null, progress: null };
+    player.connection = createConnection(socket, {
+        onMessage: text => handleMessage(player, text),
+        onClose: () => leaveRoom(player),
+    });
+}
+
+const port = Number(process.argv[2]) || DEFAULT_PORT;
+const server = http.createServer(serveFile);
+server.on('upgrade', handleUpgrade);
+server.listen(port, () => {
+    console.log(`Race server running. Open http://<this machine's address>:${port}/ on each player's machine.`);
+});